@@ -10,517 +10,4140 @@
  * Copyright (c) 2015 Tomasz Truderung
  */
 
-var assert = require('assert');
 var crypto = require('crypto');
+var Transform = require('stream').Transform;
+var promisify = require('util').promisify;
+var TextDecoder = require('util').TextDecoder;
 
 cryptoe = exports;
 
 //////////////////////////////////////////////////////////////////////
 //
 
+// ERRORS
+//
+// All the errors thrown by cryptoe are instances of cryptoe.Error
+// (CryptoeError), more precisely of one of its subclasses defined
+// below. Every error has a name, a message, a stack trace and a code
+// (a string identifying the subclass), so that callers do not need to
+// match the messages.
+
 function CryptoeError(description) {
-  this.name = 'CryptoeError';
   this.message = description || 'Unspecified error';
+  if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+  } else {
+      this.stack = (new Error(this.message)).stack;
+  }
 }
 CryptoeError.prototype = Object.create(Error.prototype);
 CryptoeError.prototype.constructor = CryptoeError;
+CryptoeError.prototype.name = 'CryptoeError';
+CryptoeError.prototype.code = 'CRYPTOE_ERROR';
 
 cryptoe.Error = CryptoeError;
 
+// Returns a new subclass of the error class parent with the given
+// name and code.
+//
+function errorClass(name, code, parent) {
+    var ErrorClass = function (description) {
+        CryptoeError.call(this, description);
+    };
+    ErrorClass.prototype = Object.create(parent.prototype);
+    ErrorClass.prototype.constructor = ErrorClass;
+    ErrorClass.prototype.name = name;
+    ErrorClass.prototype.code = code;
+    return ErrorClass;
+}
+
+/**
+ * An argument of a wrong type or with a wrong value (for instance, a
+ * number out of range or an invalid option).
+ */
+var CryptoeTypeError = cryptoe.TypeError = errorClass('CryptoeTypeError', 'TYPE_ERROR', CryptoeError);
+
+/**
+ * An operation not supported by cryptoe (an unknown algorithm, curve,
+ * format version, ...).
+ */
+var UnsupportedError = cryptoe.UnsupportedError = errorClass('UnsupportedError', 'UNSUPPORTED', CryptoeError);
+
+/**
+ * A message which ends before the data being read (taken) from it.
+ */
+var TruncatedMessageError = cryptoe.TruncatedMessageError = errorClass('TruncatedMessageError', 'TRUNCATED_MESSAGE', CryptoeError);
+
+/**
+ * Malformed encoded data: an invalid varint, utf-8 string, object
+ * encoding, base64 string, ...
+ */
+var EncodingError = cryptoe.EncodingError = errorClass('EncodingError', 'INVALID_ENCODING', CryptoeError);
+
+/**
+ * A ciphertext (or an envelope, a sealed box, a wrapped key, an
+ * encrypted keyring or key store) which is malformed or not authentic
+ * for the given key and associated data.
+ */
+var InvalidCiphertextError = cryptoe.InvalidCiphertextError = errorClass('InvalidCiphertextError', 'INVALID_CIPHERTEXT', CryptoeError);
+
+/**
+ * A signature or a MAC tag which is not valid.
+ */
+var InvalidSignatureError = cryptoe.InvalidSignatureError = errorClass('InvalidSignatureError', 'INVALID_SIGNATURE', CryptoeError);
+
+/**
+ * A token which is malformed, not authentic or uses an unexpected
+ * algorithm; its subclasses TokenExpiredError and
+ * TokenNotYetValidError are thrown for authentic tokens outside of
+ * their validity period.
+ */
+var InvalidTokenError = cryptoe.InvalidTokenError = errorClass('InvalidTokenError', 'INVALID_TOKEN', CryptoeError);
+var TokenExpiredError = cryptoe.TokenExpiredError = errorClass('TokenExpiredError', 'TOKEN_EXPIRED', InvalidTokenError);
+var TokenNotYetValidError = cryptoe.TokenNotYetValidError = errorClass('TokenNotYetValidError', 'TOKEN_NOT_YET_VALID', InvalidTokenError);
+
+/**
+ * A key (a message or a JWK) which is malformed or of a wrong type,
+ * algorithm or curve.
+ */
+var KeyFormatError = cryptoe.KeyFormatError = errorClass('KeyFormatError', 'KEY_FORMAT', CryptoeError);
+
+/**
+ * A key store opened with a wrong password.
+ */
+var WrongPasswordError = cryptoe.WrongPasswordError = errorClass('WrongPasswordError', 'WRONG_PASSWORD', CryptoeError);
+
+/**
+ * A key missing from a keyring, a key store or the recipients of an
+ * envelope.
+ */
+var KeyNotFoundError = cryptoe.KeyNotFoundError = errorClass('KeyNotFoundError', 'KEY_NOT_FOUND', CryptoeError);
+
+/**
+ * An operation not allowed in the current state of an object (for
+ * instance, using a wiped message or a destroyed key).
+ */
+var StateError = cryptoe.StateError = errorClass('StateError', 'INVALID_STATE', CryptoeError);
+
 function assertNumber(x) {
     if (typeof x !== 'number')
-        throw new CryptoeError('Type Error: expected number');
+        throw new CryptoeTypeError('Type Error: expected number');
 }
 
 function assertByte(x) {
-    if (typeof x !== 'number' || x<0 || x>255)
-        throw new CryptoeError('Type Error: expected byte');
+    if (typeof x !== 'number' || x<0 || x>255 || x%1 !== 0)
+        throw new CryptoeTypeError('Type Error: expected byte');
+}
+
+function assertInteger(x, min, max) {
+    if (typeof x !== 'number' || x % 1 !== 0)
+        throw new CryptoeTypeError('Type Error: expected integer');
+    if (x < min || x > max)
+        throw new CryptoeTypeError('Type Error: integer out of range');
 }
 
+// Converts x (a BigInt or a safe integer) to a BigInt in the range
+// [min, max].
+//
+function toBigIntInRange(x, min, max) {
+    if (typeof x === 'number') {
+        if (!Number.isSafeInteger(x)) throw new CryptoeTypeError('Type Error: expected safe integer or BigInt');
+        x = BigInt(x);
+    }
+    if (typeof x !== 'bigint')
+        throw new CryptoeTypeError('Type Error: expected safe integer or BigInt');
+    if (x < min || x > max)
+        throw new CryptoeTypeError('Type Error: integer out of range');
+    return x;
+}
+
+var int64Min = BigInt('-9223372036854775808');
+var int64Max = BigInt('9223372036854775807');
+var uint64Max = BigInt('18446744073709551615');
+
 function assertMessage(x) {
-    if (x.constructor !== newMessage)
-        throw new CryptoeError('Type Error: expected message');
+    if (x === null || x === undefined || x.constructor !== newMessage)
+        throw new CryptoeTypeError('Type Error: expected message');
 }
 
 function assertBytes(x) {
-    if (x.length === undefined || typeof x[0] !== 'number')
-        throw new CryptoeError('Type Error: expected array of bytes');
+    if (x === null || x === undefined || typeof x.length !== 'number' || x.length < 0 ||
+        x.length % 1 !== 0 || typeof x[0] !== 'number')
+        throw new CryptoeTypeError('Type Error: expected array of bytes');
 }
 
 function assertString(x) {
     if (typeof x !== 'string')
-        throw new CryptoeError('Type Error: expected string');
+        throw new CryptoeTypeError('Type Error: expected string');
 }
 
 function assertHexString(x) {
     if (typeof x !== 'string' || ! /^(([0-9,a-f][0-9,a-f])+$)/.test(x) )
-        throw new CryptoeError('Type Error: expected hex sting');
+        throw new CryptoeTypeError('Type Error: expected hex sting');
 }
 
 //////////////////////////////////////////////////////////////////////
 // MESSAGE
 
-
 /**
- * Private constructor of messages. It creates a messaage  by
- * encapsulating an array of bytes (of type Uint8Array). 
+ * Private constructor of messages. A message is a view of the part
+ * [offset, offset+length) of a buffer.
+ *
+ * @param buffer: (Buffer) the underlying buffer
+ *
+ * @param offset: (int) the beginning of the message in the buffer
+ *                (0 by default)
  *
- * @param bytes: (buffer) array of bytes 
+ * @param length: (int) the length of the message (by default, the
+ *                message extends to the end of the buffer)
  *
- * @param end:   (int) specifies size of the buffer (the index
- *               where new data can be written to). 
- *               If end>bytes.length (there is space to write),
- *               then this object owns the underlying buffer.
+ * @param shared: (bool) whether the buffer is shared with other
+ *                messages. If it is not, the message owns the part of
+ *                the buffer after its end and appends data in place.
+ *                Otherwise, the data is copied to a new buffer on the
+ *                first append (copy-on-write).
  *
- * @return a new message object encapsulating 'bytes'
+ * @return a new message object viewing 'buffer'
  */
-function newMessage(bytes, end) {
-    // Variables bytes (Buffer) and end (int) represent the internal
-    // state of the created message. 
-
-    if (end===undefined) end = bytes.length;
+function newMessage(buffer, offset, length, shared) {
+    if (offset === undefined) offset = 0;
+    if (length === undefined) length = buffer.length - offset;
 
     // The message object to be returned. All the public methods are
-    // added to this object
+    // defined in messageProto and work on the following (private)
+    // fields.
     var message = Object.create(messageProto);
+    message._buffer = buffer;
+    message._offset = offset;
+    message._length = length;
+    message._shared = !!shared;
+    message._wiped = false;
 
-    message.reallocationCounter = 0; // for testing 
-    
-    // PUBLIC METHODS OF THE MESSAGE OBJECT
-
-    /**
-     * Returns the length of the message.
-     */
-    message.len = function() { return end; }
-
-    /**
-     * Returns the i-th byte of the message
-     */
-    message.byteAt = function(n) {
-        assertNumber(n);
-        assert(n>=0 && n<end);
-        return bytes[n];
-    }
+    message.reallocationCounter = 0; // for testing
 
-    /**
-     * Returns a slice [a,b) of the message. If end is unspecified,
-     * message.length() is takes as its default value. The argument end
-     * can also have negative values, in which case it is relative to the
-     * end of the underlying buffer.
-     *
-     * Slicing is a light-weight operation and does not involve data
-     * copying (the underlying data will be, however, copied once one of
-     * the append method is called for the returned message).
-     */
-    message.slice = function(a, b) {
-        if (b===undefined) { b = message.len(); }
-        if (b<0) { b = message.len() + b; }
-        assertNumber(a); assertNumber(b);
-        return newMessage(bytes.slice(a, b), b);
-    }
+    return message;
+}
 
-    /**
-     * Clones the message. It is a shortcut for slice(0).
-     */
-    message.clone = function() {
-        return message.slice(0);
-    }
+var messageProto = { constructor: newMessage };
 
-    /**
-     *  Returns the message as an array of bytes (Buffer). The
-     *  returned array is a copy of the message representation.
-     */
-    message.toBytes = function() {
-        var array = new Buffer(message.len()); // create a new buffer
-        bytes.copy(array, 0, 0, end); // and copy the content of bytes to this array
-        return array
-    }
+// PUBLIC METHODS OF MESSAGE OBJECTS
 
-    /**
-     * Returns a string with the hexadecimal representation of the
-     * message.
-     */
-    message.toHexString = function() {
-        return bytes.toString('hex', 0, end);
-    }
+/**
+ * Returns the length of the message.
+ */
+messageProto.len = function() {
+    assertNotWiped(this);
+    return this._length;
+}
 
-    /**
-     * Returns the base64 representation of the message.
-     */
-    message.toBase64 = function() {
-        return bytes.toString('base64', 0, end);
-    }
+/**
+ * Returns the i-th byte of the message
+ */
+messageProto.byteAt = function(n) {
+    assertNotWiped(this);
+    assertNumber(n);
+    if (n<0 || n>=this._length || n%1 !== 0)
+        throw new CryptoeTypeError("Message.byteAt: index out of range");
+    return this._buffer[this._offset + n];
+}
 
-    /** 
-     * Assumes that the message contains a utf-8 encoded string and
-     * converts it back to a (native javascript) string. 
-     */
-    message.toString = function() {
-        return bytes.toString('utf8', 0, end);
-    }
+/**
+ * Returns a slice [a,b) of the message. If b is unspecified,
+ * message.len() is taken as its default value. The arguments must
+ * be integers; they can also have negative values, in which case
+ * they are relative to the end of the message. The slice is always
+ * contained in the message (like for Buffer.slice, the arguments
+ * are clamped to [0, len()]).
+ *
+ * Slicing is a light-weight operation and does not involve data
+ * copying (the underlying data will be, however, copied once one of
+ * the append method is called for the returned message).
+ */
+messageProto.slice = function(a, b) {
+    assertNotWiped(this);
+    if (b===undefined) { b = this._length; }
+    assertInteger(a, -Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER);
+    assertInteger(b, -Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER);
+    a = clampIndex(a, this._length);
+    b = Math.max(a, clampIndex(b, this._length));
+    return newMessage(this._buffer, this._offset + a, b - a, true);
+}
 
+/**
+ * Clones the message. It is a shortcut for slice(0).
+ */
+messageProto.clone = function() {
+    return this.slice(0);
+}
 
-    // The following methods read some data from the beginning of
-    // the message and move the message forward
+/**
+ *  Returns the message as an array of bytes (Buffer). The
+ *  returned array is a copy of the message representation.
+ */
+messageProto.toBytes = function() {
+    assertNotWiped(this);
+    var array = Buffer.alloc(this._length); // create a new buffer
+    this._buffer.copy(array, 0, this._offset, this._offset + this._length); // and copy the content to this array
+    return array;
+}
 
-    /**
-     * Takes a 1-byte signed integer from the beginning of the message,
-     * and moves the beginning of the message 1 byte forward.
-     */
-    message.takeByte = function() {
-        if (message.len()<1) throw new CryptoeError("Message.takeByte: not enought data");
-        var value = message.byteAt(0);
-        message.skip(1);
-        return value;
-    }
+/**
+ * Returns a string with the hexadecimal representation of the
+ * message.
+ */
+messageProto.toHexString = function() {
+    assertNotWiped(this);
+    return this._buffer.toString('hex', this._offset, this._offset + this._length);
+}
 
-    /**
-     * Takes a 2-byte signed integer from the beginning of the message,
-     * and moves the beginning of the message 2 byte forward.
-     */
-    message.takeInt16 = function() {
-        if (message.len()<2) throw new CryptoeError("Message.takeInt16: not enought data");
-        var value = bytes.readInt16BE(0);
-        message.skip(2)
-        return value;
-    }
+/**
+ * Returns the base64 representation of the message.
+ */
+messageProto.toBase64 = function() {
+    assertNotWiped(this);
+    return this._buffer.toString('base64', this._offset, this._offset + this._length);
+}
 
-    /**
-     * Takes a 4-byte signed integer from the beginning of the message,
-     * and moves the beginning of the message 4 byte forward.
-     */
-    message.takeInt32 = function() {
-        if (message.len()<4) throw new CryptoeError("Message.takeInt32: not enought data");
-        var value = bytes.readInt32BE(0);
-        message.skip(4);
-        return value;
-    }
+/**
+ * Returns the base64url representation of the message (RFC 4648,
+ * Section 5), without padding.
+ */
+messageProto.toBase64Url = function() {
+    assertNotWiped(this);
+    return this._buffer.toString('base64url', this._offset, this._offset + this._length);
+}
 
-    /**
-     * Takes a 2-byte unsigned integer from the beginning of the message,
-     * and moves the beginning of the message 2 byte forward.
-     */
-    message.takeUint16 = function() {
-        if (message.len()<2) throw new CryptoeError("Message.takeUInt16: not enought data");
-        var value = bytes.readUInt16BE(0); 
-        message.skip(2);
-        return value;
-    }
+/**
+ * Returns the base32 representation of the message (RFC 4648,
+ * Section 6), with padding.
+ */
+messageProto.toBase32 = function() {
+    return base32Encode(this._bytes());
+}
 
-    /**
-     * Takes a 4-byte unsigned integer from the beginning of the message,
-     * and moves the beginning of the message 4 byte forward.
-     */
-    message.takeUint32 = function() {
-        if (message.len()<4) throw new CryptoeError("Message.takeUint32: not enought data");
-        var value = bytes.readUInt32BE(0); 
-        message.skip(4);
-        return value;
-    }
+/**
+ * Returns the base58 representation of the message (with the
+ * alphabet of Bitcoin; every leading zero byte is encoded as '1').
+ * Base58 is meant for short identifiers: its cost is quadratic in the
+ * length, so messages longer than 1024 bytes are rejected with an
+ * UnsupportedError.
+ */
+messageProto.toBase58 = function() {
+    assertNotWiped(this);
+    if (this._length > base58MaxBytes) throw new UnsupportedError('Message.toBase58: message too long');
+    return base58Encode(this._bytes());
+}
 
-    /**
-     * Takes len bytes from the beginning of the messages and returns is
-     * as a new message.
-     */
-    message.takeMessage = function(len) {
-        assertNumber(len);
-        if (message.len()<len) throw new CryptoeError("Message.takeMessage: not enought data");
-        var value = message.slice(0,len);
-        message.skip(len);
-        return value;
-    }
+/**
+ * Assumes that the message contains a utf-8 encoded string and
+ * converts it back to a (native javascript) string.
+ */
+messageProto.toString = function() {
+    assertNotWiped(this);
+    return this._buffer.toString('utf8', this._offset, this._offset + this._length);
+}
 
-    /**
-     * Skips n bytes (moves the beginning of the messages n bytes forward).
-     */
-    message.skip = function(n) {
-        assertNumber(n);
-        if (end < n) n = end;
+/**
+ * Assumes that the message contains an object encoded by
+ * cryptoe.messageFromObject and converts it back to an object.
+ * Throws a CryptoeError if the message is not a valid (deterministic)
+ * encoding of an object. The message itself is not modified.
+ */
+messageProto.toObject = function() {
+    return objectFromMessage(this);
+}
 
-        bytes = bytes.slice(n); 
-        end -= n;
-    }
 
+// The following methods read some data from the beginning of
+// the message and move the message forward
 
-    /**
-     * Appends a message msg to this message (does a reallocation, if
-     * necessary).
-     */
-    message.appendMessage = function(msg) {
-        assertMessage(msg);
-        var oldend = message.len(); // keep the end, the next line will change it
-        var l = msg.len();
-        enlargeBy(l); 
-        for (var i=0; i<l; ++i) {
-            bytes[oldend++] = msg.byteAt(i);
-        }
-    }
+/**
+ * Takes a 1-byte unsigned integer from the beginning of the message,
+ * and moves the beginning of the message 1 byte forward.
+ */
+messageProto.takeByte = taker("takeByte", 1, Buffer.prototype.readUInt8);
 
-    /**
-     * Appends a (Node) buffer.
-     */
-    message.appendBuffer = function(buf) {
-        message.appendMessage(newMessage(buf, buf.length));
-    }
+/**
+ * Takes a 2-byte signed integer from the beginning of the message,
+ * and moves the beginning of the message 2 byte forward.
+ */
+messageProto.takeInt16 = taker("takeInt16", 2, Buffer.prototype.readInt16BE);
 
-    /**
-     * Appends (an array of) bytes. It accepts anything that
-     * has the property bytes.length and can be indexed by bytes[i].
-     * Data is copied.
-     */
-    message.appendBytes = function(bytes) {
-        assertBytes(bytes);
-        if (bytes.length === undefined) throw new CryptoeError('Message.appendBytes: Type error')
-        var len = bytes.length;
-        for (var i=0; i<len; ++i) {
-            message.appendByte(bytes[i]);
-        }
-    }
+/**
+ * Takes a 4-byte signed integer from the beginning of the message,
+ * and moves the beginning of the message 4 byte forward.
+ */
+messageProto.takeInt32 = taker("takeInt32", 4, Buffer.prototype.readInt32BE);
 
+/**
+ * Takes a 2-byte unsigned integer from the beginning of the message,
+ * and moves the beginning of the message 2 byte forward.
+ */
+messageProto.takeUint16 = taker("takeUint16", 2, Buffer.prototype.readUInt16BE);
 
-    /**
-     * Appends a byte (unsigned 8-bit integer).
-     */
-    message.appendByte = function(b) {
-        assertByte(b);
-        var oldend = message.len();
-        enlargeBy(1); 
-        bytes[oldend] = b;
-    }
+/**
+ * Takes a 4-byte unsigned integer from the beginning of the message,
+ * and moves the beginning of the message 4 byte forward.
+ */
+messageProto.takeUint32 = taker("takeUint32", 4, Buffer.prototype.readUInt32BE);
 
-    /**
-     * Appends a signed 16-bit integer.
-     */
-    message.appendInt16 = function(value) {
-        assertNumber(value);
-        var oldend = message.len();
-        enlargeBy(2); 
-        bytes.writeInt16BE(value, oldend);
-    }
+/**
+ * Take an 8-byte signed (takeInt64) or unsigned (takeUint64)
+ * integer from the beginning of the message, and move the beginning
+ * of the message 8 bytes forward. The value is returned as a BigInt.
+ */
+messageProto.takeInt64 = taker("takeInt64", 8, Buffer.prototype.readBigInt64BE);
+messageProto.takeUint64 = taker("takeUint64", 8, Buffer.prototype.readBigUInt64BE);
 
-    /**
-     * Appends an unsigned 16-bit integer.
-     */
-    message.appendUint16 = function(value) {
-        assertNumber(value);
-        var oldend = message.len();
-        enlargeBy(2); 
-        bytes.writeUInt16BE(value, oldend);
-    }
+/**
+ * Take a 4-byte (takeFloat32) or 8-byte (takeFloat64) IEEE 754
+ * floating point number from the beginning of the message, and move
+ * the beginning of the message forward accordingly.
+ */
+messageProto.takeFloat32 = taker("takeFloat32", 4, Buffer.prototype.readFloatBE);
+messageProto.takeFloat64 = taker("takeFloat64", 8, Buffer.prototype.readDoubleBE);
 
-    /**
-     * Appends a signed 32-bit integer.
-     */
-    message.appendInt32 = function(value) {
-        assertNumber(value);
-        var oldend = message.len();
-        enlargeBy(4); 
-        bytes.writeInt32BE(value, oldend)
-    }
+/**
+ * Little-endian versions of the above take methods (the methods
+ * without a suffix use big endian).
+ */
+messageProto.takeInt16LE = taker("takeInt16LE", 2, Buffer.prototype.readInt16LE);
+messageProto.takeUint16LE = taker("takeUint16LE", 2, Buffer.prototype.readUInt16LE);
+messageProto.takeInt32LE = taker("takeInt32LE", 4, Buffer.prototype.readInt32LE);
+messageProto.takeUint32LE = taker("takeUint32LE", 4, Buffer.prototype.readUInt32LE);
+messageProto.takeInt64LE = taker("takeInt64LE", 8, Buffer.prototype.readBigInt64LE);
+messageProto.takeUint64LE = taker("takeUint64LE", 8, Buffer.prototype.readBigUInt64LE);
+messageProto.takeFloat32LE = taker("takeFloat32LE", 4, Buffer.prototype.readFloatLE);
+messageProto.takeFloat64LE = taker("takeFloat64LE", 8, Buffer.prototype.readDoubleLE);
 
-    /**
-     * Appends a signed 32-bit integer.
-     */
-    message.appendUint32 = function(value) {
-        assertNumber(value);
-        var oldend = message.len();
-        enlargeBy(4); 
-        bytes.writeUInt32BE(value, oldend)
-    }
+/**
+ * Takes len bytes from the beginning of the messages and returns is
+ * as a new message.
+ */
+messageProto.takeMessage = function(len) {
+    assertNotWiped(this);
+    assertInteger(len, 0, Number.MAX_SAFE_INTEGER);
+    if (this._length<len) throw new TruncatedMessageError("Message.takeMessage: not enough data");
+    var value = this.slice(0,len);
+    this.skip(len);
+    return value;
+}
 
-    // PRIVATE METHODS
+/**
+ * Takes an unsigned integer encoded as a varint (unsigned LEB128)
+ * from the beginning of the message, and moves the beginning of the
+ * message forward accordingly. Overlong encodings (with redundant
+ * zero bytes or of values exceeding Number.MAX_SAFE_INTEGER) are
+ * rejected.
+ */
+messageProto.takeVarint = function() {
+    var varint = peekVarint(this, "Message.takeVarint");
+    this.skip(varint.size);
+    return varint.value;
+}
 
-    // Reallocate the byte array to a buffer of size newBufferSize and set
-    // the initial size of the array to newArraySize (the array uses
-    // part of the buffer; the buffer provides the underlying data).
-    //
-    function reallocate(newBufferSize, newArraySize) {
-        if (newArraySize < message.len() || newBufferSize < newArraySize ) {
-            throw new CryptoeError('Message.realocate: wrong size');
-        }
+/**
+ * Takes a length-prefixed message (as appended by
+ * appendLengthPrefixed) from the beginning of the message, and
+ * moves the beginning of the message forward accordingly.
+ */
+messageProto.takeLengthPrefixed = function() {
+    var varint = peekVarint(this, "Message.takeLengthPrefixed");
+    if (this._length < varint.size + varint.value)
+        throw new TruncatedMessageError("Message.takeLengthPrefixed: not enough data");
+    this.skip(varint.size);
+    return this.takeMessage(varint.value);
+}
 
-        // Allocate a new buffer of size newBufferSize: 
-        var newBuffer = new Buffer(newBufferSize);
-        // Copy existing data from the old array (bytes) to new array (newBytes):
-        bytes.copy(newBuffer, 0, 0, end);
-        // Replace the old array by the new one:
-        bytes = newBuffer;
-        // Set the end 
-        end = newArraySize;
-
-        message.reallocationCounter++;
-    }
-
-    // Enlarges the byte array 'bytes' by numberOfNewBytes bytes.
-    // If necessary, reallocates the data. Always resizes the byte array 'bytes'.
-    //
-    function enlargeBy(numberOfNewBytes) {
-        var newSize = message.len() + numberOfNewBytes;  // new requested size
-        if (bytes.length < newSize) // there is not enough space
-        { 
-            // Reallocate:
-            var newBufferSize = newSize*2; // twice as much as we need right now
-            reallocate(newBufferSize, newSize);
-        }
-        else { 
-            // Resize only:
-            end = newSize;
-        }
+/**
+ * Takes a string (as appended by appendString) from the beginning
+ * of the message, and moves the beginning of the message forward
+ * accordingly.
+ */
+messageProto.takeString = function() {
+    var varint = peekVarint(this, "Message.takeString");
+    if (this._length < varint.size + varint.value)
+        throw new TruncatedMessageError("Message.takeString: not enough data");
+    var start = this._offset + varint.size;
+    try {
+        var value = utf8Decoder.decode(this._buffer.subarray(start, start + varint.value));
+    } catch(err) {
+        throw new EncodingError("Message.takeString: invalid utf-8 data");
     }
+    this.skip(varint.size + varint.value);
+    return value;
+}
 
-
-    // Return the message object
-    return message;
+/**
+ * Skips n bytes (moves the beginning of the messages n bytes forward).
+ * The number n must be a non-negative integer; if it exceeds len(),
+ * the whole message is skipped.
+ */
+messageProto.skip = function(n) {
+    assertNotWiped(this);
+    assertInteger(n, 0, Number.MAX_SAFE_INTEGER);
+    if (this._length < n) n = this._length;
+    this._offset += n;
+    this._length -= n;
 }
-var messageProto = { constructor: newMessage };
-// END OF MESSAGE
 
 
 /**
- * Creates a new emtpy message.
+ * Appends a message msg to this message (does a reallocation, if
+ * necessary).
  */
-cryptoe.emptyMessage = function () {
-    // We assume that an empty message is created in order to
-    // append some data to it. So we set the initial capacity to
-    // some non-zero value
-    var initialCapacity = 256;
-    var bytes = new Buffer(256);
-    return newMessage(bytes, 0);
+messageProto.appendMessage = function(msg) {
+    assertMessage(msg);
+    assertNotWiped(msg);
+    // keep the source, the next line may change it (if msg === this)
+    var source = msg._buffer, start = msg._offset, length = msg._length;
+    var position = this._reserve(length);
+    source.copy(this._buffer, position, start, start + length);
 }
 
 /**
- * Creates a message from an array of bytes. It accepts anything that
+ * Appends a (Node) buffer.
+ */
+messageProto.appendBuffer = function(buf) {
+    if (!Buffer.isBuffer(buf)) throw new CryptoeTypeError('Type Error: expected buffer');
+    var position = this._reserve(buf.length);
+    buf.copy(this._buffer, position);
+}
+
+/**
+ * Appends (an array of) bytes. It accepts anything that
  * has the property bytes.length and can be indexed by bytes[i].
+ * Data is copied.
  */
-cryptoe.messageFromBytes = function(bytes) {
+messageProto.appendBytes = function(bytes) {
     assertBytes(bytes);
+    if (bytes instanceof Uint8Array) {
+        // (Node buffers are Uint8Arrays too) copy in bulk
+        this.appendBuffer(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length));
+        return;
+    }
     var len = bytes.length;
-    var buf = new Buffer(len);
     for (var i=0; i<len; ++i) {
-        buf[i] = bytes[i];
+        assertByte(bytes[i]);
+    }
+    var position = this._reserve(len);
+    for (i=0; i<len; ++i) {
+        this._buffer[position + i] = bytes[i];
     }
-    return newMessage(buf, len);
 }
 
+
 /**
- * Creates a message from a string (in the native javascript encoding). 
- * The returned message is utf-8 encoded.
+ * Appends a byte (unsigned 8-bit integer).
  */
-cryptoe.messageFromString = function (str) {
-    assertString(str);
-    var bytes = new Buffer(str, 'utf8');
-    return newMessage(bytes, bytes.length);
-}
+messageProto.appendByte = appender(1, Buffer.prototype.writeUInt8, checkByte);
 
 /**
- * Returns a message created from a hex-encoded string.
+ * Appends a signed 16-bit integer.
  */
-cryptoe.messageFromHexString = function(str) {
-    assertHexString(str);
-    var bytes = new Buffer(str, 'hex');
-    return newMessage(bytes, bytes.length);
-}
+messageProto.appendInt16 = appender(2, Buffer.prototype.writeInt16BE, checkInt16);
 
 /**
- * Creates a message from a base64 representation.
+ * Appends an unsigned 16-bit integer.
  */
-cryptoe.messageFromBase64 = function(base64str) {
-    assertString(base64str);
-    try {
-        var bytes = new Buffer(base64str, 'base64');
-        return newMessage(bytes, bytes.length);
-    } catch (err) {
-        throw new CryptoeError("Incorrecty encoded base64 string");
-    }
-}
-
-
-//////////////////////////////////////////////////////////////////////
-// RANDOM
+messageProto.appendUint16 = appender(2, Buffer.prototype.writeUInt16BE, checkUint16);
 
 /**
- * Returns a random message of the given length (in bytes).
+ * Appends a signed 32-bit integer.
  */
-cryptoe.random = function(length) {
-    if (length===undefined) throw new CryptoeError('random: no length given');
-    var bytes = crypto.randomBytes(length);
-    return newMessage(bytes, bytes.length);
-}
+messageProto.appendInt32 = appender(4, Buffer.prototype.writeInt32BE, checkInt32);
 
+/**
+ * Appends an unsigned 32-bit integer.
+ */
+messageProto.appendUint32 = appender(4, Buffer.prototype.writeUInt32BE, checkUint32);
 
-//////////////////////////////////////////////////////////////////////
-// SYMMETRIC-KEY ENCRYPTION
+/**
+ * Append a signed (appendInt64) or unsigned (appendUint64) 64-bit
+ * integer, given as a BigInt or as a safe integer (a number).
+ */
+messageProto.appendInt64 = appender(8, Buffer.prototype.writeBigInt64BE, checkInt64);
+messageProto.appendUint64 = appender(8, Buffer.prototype.writeBigUInt64BE, checkUint64);
 
 /**
- * Private constructor for symmetic keys. It encapsuates a
- * keyBytes (buffer).
+ * Append a number as a 4-byte (appendFloat32) or 8-byte
+ * (appendFloat64) IEEE 754 floating point number.
  */
-function newSymmetricKey(keyBytes) {
-    // the key object to be returned
-    var key = { };
+messageProto.appendFloat32 = appender(4, Buffer.prototype.writeFloatBE, checkFloat);
+messageProto.appendFloat64 = appender(8, Buffer.prototype.writeDoubleBE, checkFloat);
 
-    key.encrypt = function (message) {
-        // Pick a random IV
-        var iv = cryptoe.random(12);
-        // Create a cipher
-        var cipher = crypto.createCipheriv("id-aes256-GCM", keyBytes, iv.toBytes());
-        // Encrypt (iv + raw encrytpion + authentication tag)
-        var encrypted = cryptoe.emptyMessage();
-        encrypted.appendMessage(iv);
-        encrypted.appendBuffer(cipher.update(message.toBytes()));
-        encrypted.appendBuffer(cipher.final());
-        encrypted.appendBuffer(cipher.getAuthTag());
+/**
+ * Little-endian versions of the above append methods (the methods
+ * without a suffix use big endian).
+ */
+messageProto.appendInt16LE = appender(2, Buffer.prototype.writeInt16LE, checkInt16);
+messageProto.appendUint16LE = appender(2, Buffer.prototype.writeUInt16LE, checkUint16);
+messageProto.appendInt32LE = appender(4, Buffer.prototype.writeInt32LE, checkInt32);
+messageProto.appendUint32LE = appender(4, Buffer.prototype.writeUInt32LE, checkUint32);
+messageProto.appendInt64LE = appender(8, Buffer.prototype.writeBigInt64LE, checkInt64);
+messageProto.appendUint64LE = appender(8, Buffer.prototype.writeBigUInt64LE, checkUint64);
+messageProto.appendFloat32LE = appender(4, Buffer.prototype.writeFloatLE, checkFloat);
+messageProto.appendFloat64LE = appender(8, Buffer.prototype.writeDoubleLE, checkFloat);
 
-        return encrypted;
+/**
+ * Appends a non-negative (safe) integer encoded as a varint
+ * (unsigned LEB128): 7 bits per byte, the least significant bits
+ * first, with the highest bit of every byte but the last one set.
+ */
+messageProto.appendVarint = function(value) {
+    if (!Number.isSafeInteger(value) || value < 0)
+        throw new CryptoeTypeError('Type Error: expected non-negative integer');
+    while (value >= 0x80) {
+        this.appendByte((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
     }
+    this.appendByte(value);
+}
 
-    key.decrypt = function (message) {
-        // Take the iv (first 12 bytes of the message)
-        var iv = message.takeMessage(12);
-        // Take the encrypted message without the authentication tag (16 bytes of the message)
-        var encrypted = message.takeMessage(message.len()-16);
-        // The rest is the authenticatino tag
-        var tag = message;
-        // Create a decipher
-        var decipher = crypto.createDecipheriv("id-aes256-GCM", keyBytes, iv.toBytes());
-        // Set the authentication tag
-        // Decrypt
+/**
+ * Appends the message msg prefixed with its length (a varint).
+ */
+messageProto.appendLengthPrefixed = function(msg) {
+    assertMessage(msg);
+    this.appendVarint(msg.len());
+    this.appendMessage(msg);
+}
+
+/**
+ * Appends the (utf-8 encoded) string str prefixed with its length
+ * in bytes (a varint).
+ */
+messageProto.appendString = function(str) {
+    this.appendLengthPrefixed(cryptoe.messageFromString(str));
+}
+
+/**
+ * Compares the message with the message other in constant time (the
+ * time depends only on the lengths of the messages, not on their
+ * content). Use it to compare secret values, such as keys or
+ * authentication tags.
+ */
+messageProto.equals = function(other) {
+    assertMessage(other);
+    var bytes = this._bytes(), otherBytes = other._bytes();
+    if (bytes.length !== otherBytes.length) {
+        crypto.timingSafeEqual(bytes, bytes); // do the same work anyway
+        return false;
+    }
+    return crypto.timingSafeEqual(bytes, otherBytes);
+}
+
+/**
+ * Overwrites the content of the message with zeros. A wiped message
+ * cannot be used anymore: all its methods (except for wipe) throw a
+ * CryptoeError.
+ *
+ * Note that slices and clones share the data with the message they
+ * were taken from, so wiping a message zeroes their data as well.
+ */
+messageProto.wipe = function() {
+    if (this._shared) {
+        this._buffer.fill(0, this._offset, this._offset + this._length);
+    } else {
+        this._buffer.fill(0); // the whole buffer is owned by the message
+    }
+    this._length = 0;
+    this._wiped = true;
+}
+
+// PRIVATE METHODS
+
+// Returns the (shared) part of the underlying buffer holding the
+// message.
+//
+messageProto._bytes = function() {
+    assertNotWiped(this);
+    return this._buffer.subarray(this._offset, this._offset + this._length);
+}
+
+// Enlarges the message by numberOfNewBytes bytes and returns the
+// position (in the underlying buffer) where these bytes are to be
+// written. If the buffer is shared or there is not enough space
+// after the end of the message, the data is first copied to a new
+// buffer of twice the requested size.
+//
+messageProto._reserve = function(numberOfNewBytes) {
+    assertNotWiped(this);
+    var newLength = this._length + numberOfNewBytes;  // new requested size
+    if (this._shared || this._buffer.length < this._offset + newLength) {
+        // Reallocate:
+        var newBuffer = Buffer.allocUnsafe(Math.max(2*newLength, minimalCapacity));
+        this._buffer.copy(newBuffer, 0, this._offset, this._offset + this._length);
+        this._buffer = newBuffer;
+        this._offset = 0;
+        this._shared = false;
+        this.reallocationCounter++;
+    }
+    var position = this._offset + this._length;
+    this._length = newLength;
+    return position;
+}
+
+// The minimal capacity of (re)allocated buffers
+var minimalCapacity = 256;
+
+// Clamps an index given to slice to [0, length]; negative indexes are
+// relative to the end.
+//
+function clampIndex(index, length) {
+    if (index < 0) index += length;
+    return Math.min(Math.max(index, 0), length);
+}
+
+// Returns a take method for values of the given size (in bytes),
+// read by the given Buffer method.
+//
+function taker(name, size, read) {
+    return function() {
+        assertNotWiped(this);
+        if (this._length<size) throw new TruncatedMessageError("Message." + name + ": not enough data");
+        var value = read.call(this._buffer, this._offset);
+        this.skip(size);
+        return value;
+    }
+}
+
+// Returns an append method for values of the given size (in bytes),
+// written by the given Buffer method. The function check validates
+// the value and converts it to the form expected by write.
+//
+function appender(size, write, check) {
+    return function(value) {
+        value = check(value);
+        var position = this._reserve(size);
+        write.call(this._buffer, value, position);
+    }
+}
+
+// Checks of the values appended to messages (see appender).
+function checkByte(x) { assertByte(x); return x; }
+function checkInt16(x) { assertInteger(x, -0x8000, 0x7fff); return x; }
+function checkUint16(x) { assertInteger(x, 0, 0xffff); return x; }
+function checkInt32(x) { assertInteger(x, -0x80000000, 0x7fffffff); return x; }
+function checkUint32(x) { assertInteger(x, 0, 0xffffffff); return x; }
+function checkInt64(x) { return toBigIntInRange(x, int64Min, int64Max); }
+function checkUint64(x) { return toBigIntInRange(x, BigInt(0), uint64Max); }
+function checkFloat(x) { assertNumber(x); return x; }
+
+// Reads a varint from the beginning of the message without consuming
+// it. Returns an object {value, size}, where size is the number of
+// bytes of the encoding.
+//
+function peekVarint(message, caller) {
+    assertNotWiped(message);
+    var value = 0;
+    var factor = 1;
+    for (var i=0; i<message._length; ++i) {
+        var b = message._buffer[message._offset + i];
+        if (i >= 8) // 8 bytes are enough for any safe integer
+            throw new EncodingError(caller + ": varint too large");
+        if (i > 0 && b === 0)
+            throw new EncodingError(caller + ": overlong varint");
+        value += (b & 0x7f) * factor;
+        if (value > Number.MAX_SAFE_INTEGER)
+            throw new EncodingError(caller + ": varint too large");
+        if (b < 0x80) return { value: value, size: i+1 };
+        factor *= 0x80;
+    }
+    throw new TruncatedMessageError(caller + ": not enough data");
+}
+
+// Throws an error if the message has been wiped.
+function assertNotWiped(message) {
+    if (message._wiped) throw new StateError("Message: the message has been wiped");
+}
+
+// (ignoreBOM keeps a leading U+FEFF as a part of the decoded string)
+var utf8Decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+var base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+var base58Alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// Base58 encoding and decoding take quadratic time, so they are limited
+// to short data: at most 1024 bytes, which take at most 1399 characters.
+var base58MaxBytes = 1024;
+var base58MaxLength = 1399;
+
+// Encodes bytes (a buffer) in base32, 5 bits per character, padded
+// with '=' to a multiple of 8 characters.
+//
+function base32Encode(bytes) {
+    var result = '', value = 0, bits = 0;
+    for (var i=0; i<bytes.length; ++i) {
+        value = ((value << 8) | bytes[i]) & 0xfff; // at most 12 bits are needed
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            result += base32Alphabet[(value >>> bits) & 31];
+        }
+    }
+    if (bits > 0) result += base32Alphabet[(value << (5 - bits)) & 31];
+    while (result.length % 8 !== 0) result += '=';
+    return result;
+}
+
+// Decodes a base32 string (leniently: the padding and the unused
+// bits are not checked). Returns a buffer or null if str contains
+// invalid characters.
+//
+function base32Decode(str) {
+    str = str.replace(/=+$/, '');
+    var bytes = [], value = 0, bits = 0;
+    for (var i=0; i<str.length; ++i) {
+        var digit = base32Alphabet.indexOf(str[i]);
+        if (digit < 0) return null;
+        value = ((value << 5) | digit) & 0xfff;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((value >>> bits) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// Encodes bytes (a buffer) in base58.
+//
+function base58Encode(bytes) {
+    var zeros = 0;
+    while (zeros < bytes.length && bytes[zeros] === 0) ++zeros;
+    var digits = []; // base58 digits, the least significant first
+    for (var i=zeros; i<bytes.length; ++i) {
+        var carry = bytes[i];
+        for (var j=0; j<digits.length; ++j) {
+            carry += digits[j] * 256;
+            digits[j] = carry % 58;
+            carry = Math.floor(carry / 58);
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = Math.floor(carry / 58);
+        }
+    }
+    var result = '1'.repeat(zeros);
+    for (i=digits.length-1; i>=0; --i) result += base58Alphabet[digits[i]];
+    return result;
+}
+
+// Decodes a base58 string. Returns a buffer or null if str contains
+// invalid characters.
+//
+function base58Decode(str) {
+    var zeros = 0;
+    while (zeros < str.length && str[zeros] === '1') ++zeros;
+    var bytes = []; // the least significant first
+    for (var i=zeros; i<str.length; ++i) {
+        var carry = base58Alphabet.indexOf(str[i]);
+        if (carry < 0) return null;
+        for (var j=0; j<bytes.length; ++j) {
+            carry += bytes[j] * 58;
+            bytes[j] = carry & 0xff;
+            carry >>>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>>= 8;
+        }
+    }
+    return Buffer.concat([Buffer.alloc(zeros), Buffer.from(bytes.reverse())]);
+}
+
+// Decodes str with the function decode (which returns a buffer, or
+// null for invalid characters) and checks that str is the canonical
+// encoding of the result, that is encode(result) === str. This
+// rejects invalid characters, missing or extra padding and non-zero
+// unused bits. Returns a new message.
+//
+function strictlyDecodedMessage(str, decode, encode, name) {
+    assertString(str);
+    var bytes = decode(str);
+    if (bytes === null || encode(bytes) !== str)
+        throw new EncodingError('Incorrectly encoded ' + name + ' string');
+    return newMessage(bytes);
+}
+// END OF MESSAGE
+
+
+/**
+ * Creates a new emtpy message.
+ */
+cryptoe.emptyMessage = function () {
+    // We assume that an empty message is created in order to
+    // append some data to it. So we set the initial capacity to
+    // some non-zero value
+    return newMessage(Buffer.allocUnsafe(minimalCapacity), 0, 0);
+}
+
+/**
+ * Creates a message from an array of bytes. It accepts anything that
+ * has the property bytes.length and can be indexed by bytes[i]; the
+ * elements must be integers in [0, 255].
+ */
+cryptoe.messageFromBytes = function(bytes) {
+    assertBytes(bytes);
+    if (!(bytes instanceof Uint8Array)) {
+        for (var i=0; i<bytes.length; ++i) assertByte(bytes[i]);
+    }
+    return newMessage(Buffer.from(bytes));
+}
+
+/**
+ * Creates a message from a string (in the native javascript encoding). 
+ * The returned message is utf-8 encoded.
+ */
+cryptoe.messageFromString = function (str) {
+    assertString(str);
+    return newMessage(Buffer.from(str, 'utf8'));
+}
+
+/**
+ * Returns a message created from a hex-encoded string.
+ */
+cryptoe.messageFromHexString = function(str) {
+    assertHexString(str);
+    return newMessage(Buffer.from(str, 'hex'));
+}
+
+/**
+ * Creates a message from a base64 representation. The decoding is
+ * strict: invalid characters (including whitespace), missing or
+ * superfluous padding and non-canonical encodings are rejected with a
+ * CryptoeError.
+ */
+cryptoe.messageFromBase64 = function(base64str) {
+    return strictlyDecodedMessage(base64str, function (str) {
+        return /^[A-Za-z0-9+\/]*={0,2}$/.test(str) ? Buffer.from(str, 'base64') : null;
+    }, function (bytes) {
+        return bytes.toString('base64');
+    }, 'base64');
+}
+
+/**
+ * Creates a message from a base64url representation (without padding,
+ * as produced by toBase64Url). The decoding is strict, as for
+ * messageFromBase64.
+ */
+cryptoe.messageFromBase64Url = function(str) {
+    return strictlyDecodedMessage(str, function (str) {
+        return /^[A-Za-z0-9_-]*$/.test(str) ? Buffer.from(str, 'base64url') : null;
+    }, function (bytes) {
+        return bytes.toString('base64url');
+    }, 'base64url');
+}
+
+/**
+ * Creates a message from a base32 representation (RFC 4648, with
+ * padding and upper-case letters, as produced by toBase32). The
+ * decoding is strict, as for messageFromBase64.
+ */
+cryptoe.messageFromBase32 = function(str) {
+    return strictlyDecodedMessage(str, base32Decode, base32Encode, 'base32');
+}
+
+/**
+ * Creates a message from a base58 representation (as produced by
+ * toBase58). Invalid characters are rejected with a CryptoeError.
+ * Strings longer than 1399 characters (the encoding of 1024 bytes)
+ * are rejected with an UnsupportedError, see toBase58.
+ */
+cryptoe.messageFromBase58 = function(str) {
+    assertString(str);
+    if (str.length > base58MaxLength) throw new UnsupportedError('messageFromBase58: string too long');
+    return strictlyDecodedMessage(str, base58Decode, base58Encode, 'base58');
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// STRUCTURED DATA
+
+// Objects are converted to messages using the deterministic encoding
+// of CBOR (RFC 8949, Section 4.2.1): integer values and lengths are
+// encoded in the shortest possible form, only definite lengths are
+// used, and the keys of maps are sorted by the bytewise order of their
+// encodings. Hence, equal objects are always encoded as the same
+// messages. Supported values are:
+//
+//   integers (safe integers or BigInts in the range [-2^64, 2^64-1]),
+//   strings, booleans, null, messages (encoded as byte strings),
+//   arrays and plain objects (maps with string keys) of these.
+//
+// Decoding is strict: encodings which are not deterministic or use
+// other features of CBOR (floats, tags, indefinite lengths, ...) are
+// rejected.
+var cborMaxDepth = 256;
+
+// Appends the head of a CBOR data item (the major type and the
+// argument, a non-negative number or BigInt).
+//
+function appendCborHead(message, majorType, value) {
+    var type = majorType << 5;
+    if (value < 24) {
+        message.appendByte(type | Number(value));
+    } else if (value <= 0xff) {
+        message.appendByte(type | 24);
+        message.appendByte(Number(value));
+    } else if (value <= 0xffff) {
+        message.appendByte(type | 25);
+        message.appendUint16(Number(value));
+    } else if (value <= 0xffffffff) {
+        message.appendByte(type | 26);
+        message.appendUint32(Number(value));
+    } else {
+        message.appendByte(type | 27);
+        message.appendUint64(value);
+    }
+}
+
+function isPlainObject(value) {
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+// Appends the CBOR encoding of value to the message.
+//
+function appendCbor(message, value, depth) {
+    if (depth > cborMaxDepth)
+        throw new CryptoeTypeError('messageFromObject: nesting too deep');
+
+    if (value === null) {
+        message.appendByte(0xf6);
+    } else if (value === false) {
+        message.appendByte(0xf4);
+    } else if (value === true) {
+        message.appendByte(0xf5);
+    } else if (typeof value === 'number' || typeof value === 'bigint') {
+        if (typeof value === 'number' && !Number.isSafeInteger(value))
+            throw new CryptoeTypeError('messageFromObject: only (safe) integers are supported');
+        if (value >= 0) {
+            appendCborHead(message, 0, toBigIntInRange(value, BigInt(0), uint64Max));
+        } else {
+            appendCborHead(message, 1, toBigIntInRange(-BigInt(value) - BigInt(1), BigInt(0), uint64Max));
+        }
+    } else if (typeof value === 'string') {
+        var str = cryptoe.messageFromString(value);
+        appendCborHead(message, 3, str.len());
+        message.appendMessage(str);
+    } else if (typeof value === 'object' && value.constructor === newMessage) {
+        appendCborHead(message, 2, value.len());
+        message.appendMessage(value);
+    } else if (Array.isArray(value)) {
+        appendCborHead(message, 4, value.length);
+        value.forEach(function (item) {
+            appendCbor(message, item, depth+1);
+        });
+    } else if (typeof value === 'object' && isPlainObject(value)) {
+        var entries = Object.keys(value).map(function (key) {
+            var encodedKey = cryptoe.emptyMessage();
+            appendCbor(encodedKey, key, depth+1);
+            return { key: encodedKey.toBytes(), value: value[key] };
+        });
+        entries.sort(function (a, b) { return Buffer.compare(a.key, b.key); });
+        appendCborHead(message, 5, entries.length);
+        entries.forEach(function (entry) {
+            message.appendBuffer(entry.key);
+            appendCbor(message, entry.value, depth+1);
+        });
+    } else {
+        throw new CryptoeTypeError('messageFromObject: unsupported value');
+    }
+}
+
+// Takes the argument of a CBOR data item with the given additional
+// information (the lower 5 bits of the initial byte). Returns a number,
+// if the argument is a safe integer, or a BigInt otherwise.
+//
+function takeCborArgument(message, info) {
+    var value, min;
+    if (info < 24) return info;
+    else if (info === 24) { value = message.takeByte(); min = 24; }
+    else if (info === 25) { value = message.takeUint16(); min = 0x100; }
+    else if (info === 26) { value = message.takeUint32(); min = 0x10000; }
+    else if (info === 27) { value = message.takeUint64(); min = 0x100000000; }
+    else throw new EncodingError('Message.toObject: unsupported encoding');
+
+    if (value < min)
+        throw new EncodingError('Message.toObject: non-deterministic encoding');
+    if (typeof value === 'bigint' && value <= BigInt(Number.MAX_SAFE_INTEGER))
+        value = Number(value);
+    return value;
+}
+
+// Takes a CBOR-encoded value from the beginning of the message.
+//
+function takeCbor(message, depth) {
+    if (depth > cborMaxDepth)
+        throw new EncodingError('Message.toObject: nesting too deep');
+
+    var initial = message.takeByte();
+    var majorType = initial >> 5;
+    var info = initial & 0x1f;
+
+    if (majorType === 7) {
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        throw new EncodingError('Message.toObject: unsupported encoding');
+    }
+    if (majorType === 6)
+        throw new EncodingError('Message.toObject: unsupported encoding');
+
+    var argument = takeCborArgument(message, info);
+    var length = Number(argument);
+    // Every item takes at least one byte, so longer strings/arrays/maps
+    // can not be encoded in the rest of the message
+    if (majorType >= 2 && length > message.len())
+        throw new TruncatedMessageError('Message.toObject: not enough data');
+
+    switch (majorType) {
+    case 0:
+        return argument;
+    case 1:
+        var negative = -BigInt(argument) - BigInt(1);
+        return negative >= BigInt(-Number.MAX_SAFE_INTEGER) ? Number(negative) : negative;
+    case 2:
+        return message.takeMessage(length).clone();
+    case 3:
         try {
-            decipher.setAuthTag(tag.toBytes());
-            var dec = cryptoe.emptyMessage();
-            dec.appendBuffer(decipher.update(encrypted.toBytes()));
-            dec.appendBuffer(decipher.final());
+            return utf8Decoder.decode(message.takeMessage(length).toBytes());
         } catch(err) {
-            throw new CryptoeError('Invalid Ciphertext');
+            throw new EncodingError('Message.toObject: invalid utf-8 data');
         }
-        return dec;
+    case 4:
+        var array = [];
+        for (var i=0; i<length; ++i) {
+            array.push(takeCbor(message, depth+1));
+        }
+        return array;
+    case 5:
+        var object = {};
+        var previousKey = null;
+        for (var i=0; i<length; ++i) {
+            var rest = message.clone();
+            if (message.len() < 1 || (message.byteAt(0) >> 5) !== 3)
+                throw new EncodingError('Message.toObject: keys must be strings');
+            var key = takeCbor(message, depth+1);
+            var encodedKey = rest.takeMessage(rest.len() - message.len()).toBytes();
+            if (previousKey !== null && Buffer.compare(previousKey, encodedKey) >= 0)
+                throw new EncodingError('Message.toObject: keys not sorted or duplicated');
+            previousKey = encodedKey;
+            // defineProperty, so that keys like __proto__ are handled correctly
+            Object.defineProperty(object, key, { value: takeCbor(message, depth+1), enumerable: true,
+                                                 writable: true, configurable: true });
+        }
+        return object;
+    }
+}
+
+// Decodes a message created by messageFromObject (see
+// message.toObject).
+//
+function objectFromMessage(message) {
+    var rest = message.clone();
+    var value = takeCbor(rest, 0);
+    if (rest.len() !== 0) throw new EncodingError('Message.toObject: unexpected data');
+    return value;
+}
+
+/**
+ * Converts an object to a message, using the deterministic encoding
+ * of CBOR. The object may consist of integers, strings, booleans,
+ * null, messages, arrays and plain objects (see STRUCTURED DATA).
+ * Equal objects are always converted to equal messages, which makes
+ * the result suitable for signing and hashing.
+ */
+cryptoe.messageFromObject = function (obj) {
+    var message = cryptoe.emptyMessage();
+    appendCbor(message, obj, 0);
+    return message;
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// RANDOM
+
+/**
+ * Returns a random message of the given length (in bytes).
+ */
+cryptoe.random = function(length) {
+    if (length===undefined) throw new CryptoeTypeError('random: no length given');
+    assertInteger(length, 0, 0x7fffffff);
+    return newMessage(crypto.randomBytes(length));
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// SYMMETRIC-KEY ENCRYPTION
+
+// Ciphertexts produced by key.encrypt have the following format:
+//
+//   version (1 byte) || algorithm id (1 byte) ||
+//   length of the key id (1 byte) || key id ||
+//   iv || encrypted data || authentication tag
+//
+// where the key id is optional (it may be empty) and the algorithm
+// determines the length of the iv and the tag. The header (everything
+// before the iv) is authenticated along with the associated data.
+//
+// Legacy ciphertexts (produced by the first versions of cryptoe)
+// have no header; they consist of the iv, the encrypted data and the
+// tag of AES-256-GCM only.
+var ciphertextVersion = 1;
+var aes256GcmId = 1;
+
+// Encrypts the message with AES-256-GCM (under the key keyBytes, a
+// buffer), authenticating associatedData (a message). Returns
+// iv (12 bytes) || encrypted data || authentication tag (16 bytes).
+//
+function aesGcmEncrypt(keyBytes, message, associatedData) {
+    // Pick a random IV
+    var iv = cryptoe.random(12);
+    // Create a cipher
+    var cipher = crypto.createCipheriv("id-aes256-GCM", keyBytes, iv.toBytes());
+    cipher.setAAD(associatedData.toBytes());
+    // Encrypt (iv + raw encrytpion + authentication tag)
+    var encrypted = cryptoe.emptyMessage();
+    encrypted.appendMessage(iv);
+    encrypted.appendBuffer(cipher.update(message.toBytes()));
+    encrypted.appendBuffer(cipher.final());
+    encrypted.appendBuffer(cipher.getAuthTag());
+
+    return encrypted;
+}
+
+// Decrypts the result of aesGcmEncrypt (the message is consumed).
+// Throws CryptoeError('Invalid Ciphertext') if the message is not
+// a valid ciphertext for the given key and associated data.
+//
+function aesGcmDecrypt(keyBytes, message, associatedData) {
+    if (message.len() < 12+16) throw new InvalidCiphertextError('Invalid Ciphertext');
+    // Take the iv (first 12 bytes of the message)
+    var iv = message.takeMessage(12);
+    // Take the encrypted message without the authentication tag (16 bytes of the message)
+    var encrypted = message.takeMessage(message.len()-16);
+    // The rest is the authenticatino tag
+    var tag = message;
+    // Create a decipher
+    var decipher = crypto.createDecipheriv("id-aes256-GCM", keyBytes, iv.toBytes());
+    // Set the authentication tag and the associated data
+    // Decrypt
+    try {
+        decipher.setAuthTag(tag.toBytes());
+        decipher.setAAD(associatedData.toBytes());
+        var dec = cryptoe.emptyMessage();
+        dec.appendBuffer(decipher.update(encrypted.toBytes()));
+        dec.appendBuffer(decipher.final());
+    } catch(err) {
+        throw new InvalidCiphertextError('Invalid Ciphertext');
+    }
+    return dec;
+}
+
+// Takes the header from the beginning of a ciphertext (message).
+// Returns an object {algorithm, keyId, header}, where header is the
+// message containing the whole header.
+//
+function takeCiphertextHeader(message) {
+    var header = message.clone();
+    try {
+        var version = message.takeByte();
+        var algorithm = message.takeByte();
+        var keyId = message.takeMessage(message.takeByte());
+    } catch(err) {
+        throw new InvalidCiphertextError('Invalid Ciphertext');
+    }
+    if (version !== ciphertextVersion || algorithm !== aes256GcmId)
+        throw new InvalidCiphertextError('Invalid Ciphertext: unsupported format');
+    return { algorithm: algorithm, keyId: keyId, header: header.takeMessage(3 + keyId.len()) };
+}
+
+// Returns associatedData, if defined, or an empty message otherwise.
+//
+function optionalAssociatedData(associatedData) {
+    if (associatedData === undefined || associatedData === null) return cryptoe.emptyMessage();
+    assertMessage(associatedData);
+    return associatedData;
+}
+
+// Returns the header of a ciphertext for the given options of
+// key.encrypt (the header is the beginning of the ciphertext).
+//
+function ciphertextHeader(options) {
+    var keyId = (options && options.keyId !== undefined) ? options.keyId : cryptoe.emptyMessage();
+    assertMessage(keyId);
+    if (keyId.len() > 255) throw new CryptoeTypeError('Key id too long');
+
+    var header = cryptoe.emptyMessage();
+    header.appendByte(ciphertextVersion);
+    header.appendByte(aes256GcmId);
+    header.appendByte(keyId.len());
+    header.appendMessage(keyId);
+    return header;
+}
+
+// Returns the data authenticated along with the encrypted data of a
+// ciphertext (with the given header): the header and the associated
+// data.
+//
+function authenticatedData(header, associatedData) {
+    var authenticated = header.clone();
+    authenticated.appendMessage(optionalAssociatedData(associatedData));
+    return authenticated;
+}
+
+// Prepares the decryption of a ciphertext (see key.decrypt). Returns
+// an object {encrypted, authenticated}, where encrypted is the part
+// of the ciphertext produced by aesGcmEncrypt and authenticated is
+// the data authenticated along with it.
+//
+function takeCiphertext(message, associatedData, options) {
+    assertMessage(message);
+    message = message.clone();
+    if (options && options.legacy) {
+        return { encrypted: message, authenticated: optionalAssociatedData(associatedData) };
+    }
+    var header = takeCiphertextHeader(message).header;
+    return { encrypted: message, authenticated: authenticatedData(header, associatedData) };
+}
+
+/**
+ * Returns the key id recorded in the header of a ciphertext produced
+ * by key.encrypt (see the option keyId of key.encrypt), or null if
+ * the ciphertext carries no key id. The ciphertext is not
+ * authenticated by this function.
+ */
+cryptoe.ciphertextKeyId = function (ciphertext) {
+    assertMessage(ciphertext);
+    var keyId = takeCiphertextHeader(ciphertext.clone()).keyId;
+    return keyId.len() > 0 ? keyId : null;
+}
+
+/**
+ * Private constructor for symmetic keys. It encapsuates a
+ * keyBytes (buffer).
+ */
+function newSymmetricKey(keyBytes) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'symmetric' };
+
+    // Returns keyBytes, unless the key has been destroyed
+    function liveKeyBytes() {
+        if (keyBytes === null) throw new StateError('Key destroyed');
+        return keyBytes;
+    }
+
+    /**
+     * Encrypts the message. The optional message associatedData is
+     * authenticated, but not encrypted (nor included in the result):
+     * the same associated data must be given to decrypt.
+     *
+     * The optional object options can specify keyId, a message (of at
+     * most 255 bytes) identifying the key, which is then recorded in
+     * the header of the ciphertext (see cryptoe.ciphertextKeyId).
+     */
+    key.encrypt = function (message, associatedData, options) {
+        assertMessage(message);
+        var encrypted = ciphertextHeader(options);
+        // The header and the associated data are authenticated
+        var authenticated = authenticatedData(encrypted, associatedData);
+        encrypted.appendMessage(aesGcmEncrypt(liveKeyBytes(), message, authenticated));
+
+        return encrypted;
+    }
+
+    /**
+     * The asynchronous version of encrypt (returns a promise).
+     */
+    key.encryptAsync = function (message, associatedData, options) {
+        return asPromise(function () {
+            assertMessage(message);
+            var encrypted = ciphertextHeader(options);
+            var authenticated = authenticatedData(encrypted, associatedData);
+            return aesGcmEncryptAsync(liveKeyBytes(), message, authenticated).then(function (result) {
+                encrypted.appendMessage(result);
+                return encrypted;
+            });
+        });
+    }
+
+    /**
+     * Decrypts the message. It throws CryptoeError('Invalid Ciphertext')
+     * if the message is not a valid ciphertext for this key and the
+     * given associated data (which must be the same as the one given to
+     * encrypt).
+     *
+     * Legacy ciphertexts (without a header) are only accepted if the
+     * option legacy is set, i.e. options is {legacy: true}.
+     */
+    key.decrypt = function (message, associatedData, options) {
+        var ciphertext = takeCiphertext(message, associatedData, options);
+        return aesGcmDecrypt(liveKeyBytes(), ciphertext.encrypted, ciphertext.authenticated);
+    }
+
+    /**
+     * The asynchronous version of decrypt (returns a promise).
+     */
+    key.decryptAsync = function (message, associatedData, options) {
+        return asPromise(function () {
+            var ciphertext = takeCiphertext(message, associatedData, options);
+            return aesGcmDecryptAsync(liveKeyBytes(), ciphertext.encrypted, ciphertext.authenticated);
+        });
+    }
+
+    /**
+     * Returns a (node.js) Transform stream which encrypts the data
+     * written to it (buffers) using the chunked format described in
+     * STREAMING ENCRYPTION. The optional object options can specify
+     * chunkSize (the number of plaintext bytes per chunk) and keyId
+     * (as for encrypt).
+     */
+    key.createEncryptStream = function (options) {
+        return newEncryptStream(liveKeyBytes(), options);
+    }
+
+    /**
+     * Returns a Transform stream which decrypts data produced by an
+     * encryption stream. The stream emits an error
+     * CryptoeError('Invalid Ciphertext') if the data has been
+     * tampered with, reordered or truncated; only authenticated
+     * chunks of plaintext are ever emitted.
+     */
+    key.createDecryptStream = function () {
+        return newDecryptStream(liveKeyBytes());
+    }
+
+    /**
+     * Derives a new symmetric key from this key using HKDF-SHA256 (see
+     * cryptoe.hkdf). The message info identifies the purpose of the
+     * derived key: keys derived for different infos are independent.
+     * The optional message salt is passed to HKDF.
+     */
+    key.deriveKey = function (info, salt) {
+        assertMessage(info);
+        var derived = cryptoe.hkdf(newMessage(liveKeyBytes()), salt, info, 32);
+        var newKey = newSymmetricKey(derived.toBytes());
+        derived.wipe();
+        return newKey;
+    }
+
+    /**
+     * Wraps (encrypts) keyToWrap with this key, using AES-KW (see KEY
+     * WRAPPING), and returns the wrapped key (a message). Symmetric
+     * keys, MAC keys and private keys (decryption, signing and
+     * key-agreement keys) can be wrapped.
+     */
+    key.wrapKey = function (keyToWrap) {
+        return aesKeyWrap(liveKeyBytes(), keyToWrap);
+    }
+
+    /**
+     * Unwraps a key wrapped by wrapKey and returns it as a key object
+     * of the given type: 'symmetric', 'mac', 'decryption', 'signing' or
+     * 'keyAgreementPrivate'. It throws CryptoeError('Invalid Ciphertext')
+     * if wrapped is not a key wrapped by this key and
+     * CryptoeError('Invalid key: wrong type of key') if the unwrapped
+     * key is not a key of the given type.
+     */
+    key.unwrapKey = function (wrapped, type) {
+        return aesKeyUnwrap(liveKeyBytes(), wrapped, type);
+    }
+
+    /**
+     * Returns the key as a message (a copy of the key material, so
+     * that wiping it does not affect the key).
+     */
+    key.asMessage = function () {
+        return newMessage(Buffer.from(liveKeyBytes()));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object), which can be
+     * imported by the Web Crypto API with importKey('jwk', ...).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyBytes(liveKeyBytes(), 'symmetric');
+    }
+
+    /**
+     * Overwrites the key material with zeros. A destroyed key cannot
+     * be used anymore: its methods throw CryptoeError('Key destroyed').
+     */
+    key.destroy = function () {
+        if (keyBytes !== null) keyBytes.fill(0);
+        keyBytes = null;
+    }
+
+    // Return the key (this) object
+    return key;
+};
+
+/**
+ * Generate a new symmetic key. 
+ *
+ * A symmetric key has, most importantly, mehtods 
+ * encrypt(m) and decrypt(m).
+ */
+cryptoe.generateSymmetricKey = function () {
+    var key = cryptoe.random(32);
+    return newSymmetricKey(key.toBytes());
+}
+
+/**
+ * Convert a message to a symmetric key.
+ */
+cryptoe.symmetricKeyFromMessage = function (message) {
+    assertMessage(message);
+    if (message.len() !== 32) throw new KeyFormatError('Invalid key: wrong key length');
+    return newSymmetricKey(message.toBytes());
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// STREAMING ENCRYPTION
+
+// Encryption streams produce data in the following format:
+//
+//   version (1 byte) || algorithm id (1 byte) ||
+//   length of the key id (1 byte) || key id ||
+//   chunk size (4 bytes) || salt (16 bytes) ||
+//   chunk_0 || chunk_1 || ... || chunk_n
+//
+// where each chunk is the AES-256-GCM encryption of (at most) chunk
+// size bytes of the plaintext, followed by the tag (16 bytes). Only
+// the last chunk may be shorter than the others (it may even be
+// empty).
+//
+// The chunks are encrypted under a per-stream key derived (with
+// HKDF-SHA256) from the key and the salt. The nonce of the i-th chunk
+// is prefix (7 bytes) || i (4 bytes) || last (1 byte), where the
+// prefix is derived along with the per-stream key, and last is 1 for
+// the last chunk and 0 otherwise. The header is authenticated with
+// every chunk. This way, modified, reordered and truncated streams
+// are detected.
+var aes256GcmStreamId = 2;
+var streamDefaultChunkSize = 65536;
+var streamMaxChunkSize = 16777216;
+var streamSaltLength = 16;
+
+// Creates the state of a chunked encryption/decryption for the
+// given key (buffer), salt (buffer) and header (buffer). Returns an
+// object with the methods encryptChunk(buf, last) and
+// decryptChunk(buf, last), which process consecutive chunks.
+//
+function newStreamCipher(keyBytes, salt, header) {
+    var derived = Buffer.from(crypto.hkdfSync('sha256', keyBytes, salt, Buffer.from('cryptoe stream'), 32+7));
+    var streamKey = derived.slice(0, 32);
+    var counter = 0;
+
+    function nonce(last) {
+        if (counter > 0xffffffff) throw new UnsupportedError('Stream too long');
+        var iv = Buffer.alloc(12);
+        derived.copy(iv, 0, 32, 32+7);
+        iv.writeUInt32BE(counter++, 7);
+        iv[11] = last ? 1 : 0;
+        return iv;
+    }
+
+    return {
+        encryptChunk: function (buf, last) {
+            var cipher = crypto.createCipheriv("id-aes256-GCM", streamKey, nonce(last));
+            cipher.setAAD(header);
+            return Buffer.concat([cipher.update(buf), cipher.final(), cipher.getAuthTag()]);
+        },
+
+        decryptChunk: function (buf, last) {
+            if (buf.length < 16) throw new InvalidCiphertextError('Invalid Ciphertext');
+            var decipher = crypto.createDecipheriv("id-aes256-GCM", streamKey, nonce(last));
+            try {
+                decipher.setAAD(header);
+                decipher.setAuthTag(buf.slice(buf.length - 16));
+                return Buffer.concat([decipher.update(buf.slice(0, buf.length - 16)), decipher.final()]);
+            } catch(err) {
+                throw new InvalidCiphertextError('Invalid Ciphertext');
+            }
+        }
+    };
+}
+
+// Creates an encryption stream (see key.createEncryptStream).
+//
+function newEncryptStream(keyBytes, options) {
+    var chunkSize = (options && options.chunkSize !== undefined) ? options.chunkSize : streamDefaultChunkSize;
+    if (typeof chunkSize !== 'number' || chunkSize < 1 || chunkSize > streamMaxChunkSize || chunkSize % 1 !== 0)
+        throw new CryptoeTypeError('Invalid chunk size');
+    var keyId = (options && options.keyId !== undefined) ? options.keyId : cryptoe.emptyMessage();
+    assertMessage(keyId);
+    if (keyId.len() > 255) throw new CryptoeTypeError('Key id too long');
+
+    var header = cryptoe.emptyMessage();
+    header.appendByte(ciphertextVersion);
+    header.appendByte(aes256GcmStreamId);
+    header.appendByte(keyId.len());
+    header.appendMessage(keyId);
+    header.appendUint32(chunkSize);
+    header.appendMessage(cryptoe.random(streamSaltLength));
+    header = header.toBytes();
+
+    var cipher = newStreamCipher(keyBytes, header.slice(header.length - streamSaltLength), header);
+    var pending = Buffer.alloc(0);
+    var headerSent = false;
+
+    function sendHeader(stream) {
+        if (!headerSent) stream.push(header);
+        headerSent = true;
+    }
+
+    return new Transform({
+        transform: function (data, encoding, callback) {
+            sendHeader(this);
+            pending = Buffer.concat([pending, data]);
+            try {
+                // A full chunk is only encrypted once we know that it is
+                // not the last one
+                while (pending.length > chunkSize) {
+                    this.push(cipher.encryptChunk(pending.slice(0, chunkSize), false));
+                    pending = pending.slice(chunkSize);
+                }
+            } catch(err) {
+                return callback(err);
+            }
+            callback();
+        },
+
+        flush: function (callback) {
+            sendHeader(this);
+            try {
+                this.push(cipher.encryptChunk(pending, true));
+            } catch(err) {
+                return callback(err);
+            }
+            callback();
+        }
+    });
+}
+
+// Creates a decryption stream (see key.createDecryptStream).
+//
+function newDecryptStream(keyBytes) {
+    var cipher = null;
+    var encryptedChunkSize;
+    var pending = Buffer.alloc(0);
+
+    // Parses the header, if enough data is available; returns false
+    // otherwise.
+    function takeHeader() {
+        if (pending.length < 3) return false;
+        var headerLength = 3 + pending[2] + 4 + streamSaltLength;
+        if (pending.length < headerLength) return false;
+        var header = pending.slice(0, headerLength);
+        if (header[0] !== ciphertextVersion || header[1] !== aes256GcmStreamId)
+            throw new InvalidCiphertextError('Invalid Ciphertext: unsupported format');
+        var chunkSize = header.readUInt32BE(3 + header[2]);
+        if (chunkSize < 1 || chunkSize > streamMaxChunkSize)
+            throw new InvalidCiphertextError('Invalid Ciphertext');
+        encryptedChunkSize = chunkSize + 16;
+        cipher = newStreamCipher(keyBytes, header.slice(headerLength - streamSaltLength), header);
+        pending = pending.slice(headerLength);
+        return true;
+    }
+
+    return new Transform({
+        transform: function (data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            try {
+                if (cipher === null && !takeHeader()) return callback();
+                // A full chunk is only decrypted once we know that it is
+                // not the last one
+                while (pending.length > encryptedChunkSize) {
+                    this.push(cipher.decryptChunk(pending.slice(0, encryptedChunkSize), false));
+                    pending = pending.slice(encryptedChunkSize);
+                }
+            } catch(err) {
+                return callback(err);
+            }
+            callback();
+        },
+
+        flush: function (callback) {
+            try {
+                if (cipher === null) throw new InvalidCiphertextError('Invalid Ciphertext');
+                this.push(cipher.decryptChunk(pending, true));
+            } catch(err) {
+                return callback(err);
+            }
+            callback();
+        }
+    });
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// KEY WRAPPING
+
+// Symmetric and MAC keys are wrapped with the AES Key Wrap of RFC 3394
+// (as in the Web Crypto API with {name: 'AES-KW'} and the 'raw'
+// format); their key material is the raw key, and the two types are
+// told apart by its length. Private keys are wrapped with the AES Key
+// Wrap with Padding of RFC 5649; their key material is a byte
+// identifying the type of the key (see privateKeyWrapIds) followed by
+// the DER-encoded PKCS #8 structure, so that a wrapped signing key
+// cannot be unwrapped as a key-agreement key (both are P-256 keys) or
+// vice versa.
+var keyWrapIv = Buffer.from('a6a6a6a6a6a6a6a6', 'hex');
+var keyWrapPadIv = Buffer.from('a65959a6', 'hex');
+var wrappableKeyTypes = {
+    symmetric: function (material) {
+        checkKeyLength(material, 32);
+        return cryptoe.symmetricKeyFromMessage(material);
+    },
+    mac: function (material) {
+        checkKeyLength(material, macKeyLength);
+        return cryptoe.macKeyFromMessage(material);
+    },
+    decryption:          function (material) { return cryptoe.decryptionKeyFromMessage(material); },
+    signing:             function (material) { return cryptoe.signingKeyFromMessage(material); },
+    keyAgreementPrivate: function (material) { return cryptoe.keyAgreementPrivateKeyFromMessage(material); }
+};
+var privateKeyWrapIds = { decryption: 1, signing: 2, keyAgreementPrivate: 3 };
+
+// Checks that the unwrapped key material (a message) has the given
+// length.
+//
+function checkKeyLength(material, length) {
+    if (material.len() !== length) throw new KeyFormatError('Invalid key: wrong type of key');
+}
+
+// Wraps the key keyToWrap under the wrapping key keyBytes (a buffer).
+//
+function aesKeyWrap(keyBytes, keyToWrap) {
+    var type = keyType(keyToWrap);
+    if (!wrappableKeyTypes.hasOwnProperty(type))
+        throw new CryptoeTypeError('Key wrapping: unsupported type of key');
+    var material = keyToWrap.asMessage().toBytes();
+    if (type === 'mac' && material.length !== macKeyLength)
+        throw new CryptoeTypeError('Key wrapping: unsupported key length');
+    var cipher;
+    if (privateKeyWrapIds.hasOwnProperty(type)) {
+        var typed = Buffer.concat([Buffer.from([privateKeyWrapIds[type]]), material]);
+        material.fill(0);
+        material = typed;
+        cipher = crypto.createCipheriv('id-aes256-wrap-pad', keyBytes, keyWrapPadIv);
+    } else {
+        cipher = crypto.createCipheriv('id-aes256-wrap', keyBytes, keyWrapIv);
+    }
+    var wrapped = Buffer.concat([cipher.update(material), cipher.final()]);
+    material.fill(0);
+    return newMessage(wrapped);
+}
+
+// Unwraps a key (a message) wrapped under keyBytes and returns it as
+// a key object of the given type.
+//
+function aesKeyUnwrap(keyBytes, wrapped, type) {
+    assertMessage(wrapped);
+    if (!wrappableKeyTypes.hasOwnProperty(type))
+        throw new CryptoeTypeError('Key wrapping: unsupported type of key');
+    var bytes = wrapped.toBytes();
+    if (bytes.length < 16 || bytes.length % 8 !== 0) throw new InvalidCiphertextError('Invalid Ciphertext');
+    var raw = unwrapWith('id-aes256-wrap', keyBytes, keyWrapIv, bytes);
+    var typed = raw === null ? unwrapWith('id-aes256-wrap-pad', keyBytes, keyWrapPadIv, bytes) : null;
+    if (raw === null && typed === null) throw new InvalidCiphertextError('Invalid Ciphertext');
+    // the key material is authentic, so it is of another type if its
+    // type byte (or the lack of it) does not match, or if it cannot be
+    // loaded
+    var expectedId = privateKeyWrapIds.hasOwnProperty(type) ? privateKeyWrapIds[type] : null;
+    var actualId = typed === null ? null : typed[0];
+    var message = newMessage(typed === null ? raw : typed.subarray(1));
+    try {
+        if (actualId !== expectedId) throw new KeyFormatError();
+        return wrappableKeyTypes[type](message);
+    } catch(err) {
+        throw new KeyFormatError('Invalid key: wrong type of key');
+    } finally {
+        message.wipe();
+    }
+}
+
+// Decrypts bytes with the given variant of AES-KW; returns null if
+// the integrity check fails.
+//
+function unwrapWith(algorithm, keyBytes, iv, bytes) {
+    var decipher = crypto.createDecipheriv(algorithm, keyBytes, iv);
+    try {
+        return Buffer.concat([decipher.update(bytes), decipher.final()]);
+    } catch(err) {
+        return null;
+    }
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// KEYRINGS
+
+// A keyring holds symmetric keys identified by ids (non-empty strings
+// of at most 255 bytes). Ciphertexts produced by keyring.encrypt carry
+// the id of the key (see the option keyId of key.encrypt). A key is
+// either active or retired (usable for decryption only); one of the
+// active keys is the primary key, used for encryption.
+//
+// A keyring is serialized (see keyring.asMessage) as the encoding (see
+// messageFromObject) of the object
+//
+//   { version: 1, primary: <id or null>,
+//     keys: [ { id: <string>, key: <message>, retired: <boolean> }, ... ] }
+//
+// encrypted by the master key with the associated data 'cryptoe keyring'.
+var keyringVersion = 1;
+var keyringAssociatedData = 'cryptoe keyring';
+
+// Checks that id is a valid key id.
+//
+function assertKeyId(id) {
+    assertString(id);
+    var length = Buffer.byteLength(id);
+    if (length === 0 || length > 255)
+        throw new CryptoeTypeError('Keyring: invalid key id');
+}
+
+/**
+ * Private constructor of keyrings. It encapsulates entries, an array
+ * of objects {id, key, retired}, and the id of the primary key (or
+ * null).
+ */
+function newKeyring(entries, primary) {
+    // the keyring object to be returned
+    var keyring = { };
+
+    // Returns the entry of the key with the given id (or undefined).
+    function entry(id) {
+        for (var i=0; i<entries.length; ++i) {
+            if (entries[i].id === id) return entries[i];
+        }
+        return undefined;
+    }
+
+    // Returns the entry of the key with the given id or throws.
+    function existingEntry(id) {
+        assertString(id);
+        var found = entry(id);
+        if (found === undefined) throw new KeyNotFoundError('Keyring: unknown key id');
+        return found;
+    }
+
+    // Returns the primary key or throws.
+    function primaryEntry() {
+        if (primary === null) throw new StateError('Keyring: no primary key');
+        return entry(primary);
+    }
+
+    // Returns the entry of the key which produced the ciphertext.
+    function decryptionEntry(ciphertext) {
+        var keyId = cryptoe.ciphertextKeyId(ciphertext);
+        if (keyId === null) throw new KeyNotFoundError('Keyring: ciphertext without key id');
+        return existingEntry(keyId.toString());
+    }
+
+    /**
+     * Adds a symmetric key with the given id (if key is not given, a
+     * new key is generated). The first key added to an empty keyring
+     * becomes the primary key.
+     */
+    keyring.add = function (id, key) {
+        assertKeyId(id);
+        if (entry(id) !== undefined) throw new StateError('Keyring: duplicate key id');
+        if (key === undefined) key = cryptoe.generateSymmetricKey();
+        assertSymmetricKey(key);
+        entries.push({ id: id, key: key, retired: false });
+        if (primary === null) primary = id;
+    }
+
+    /**
+     * Makes the (active) key with the given id the primary key.
+     */
+    keyring.setPrimary = function (id) {
+        if (existingEntry(id).retired) throw new StateError('Keyring: the key is retired');
+        primary = id;
+    }
+
+    /**
+     * Retires the key with the given id: it can still decrypt, but it
+     * can not become the primary key. The primary key cannot be retired.
+     */
+    keyring.retire = function (id) {
+        var found = existingEntry(id);
+        if (id === primary) throw new StateError('Keyring: cannot retire the primary key');
+        found.retired = true;
+    }
+
+    /**
+     * Removes the key with the given id. Ciphertexts produced by the
+     * key cannot be decrypted anymore. The primary key cannot be
+     * removed.
+     */
+    keyring.remove = function (id) {
+        var found = existingEntry(id);
+        if (id === primary) throw new StateError('Keyring: cannot remove the primary key');
+        entries.splice(entries.indexOf(found), 1);
+    }
+
+    /**
+     * Returns the ids of the keys (in the order they were added).
+     */
+    keyring.ids = function () {
+        return entries.map(function (e) { return e.id; });
+    }
+
+    /**
+     * Returns the id of the primary key (or null for an empty keyring).
+     */
+    keyring.primaryId = function () {
+        return primary;
+    }
+
+    /**
+     * Returns whether the key with the given id is retired.
+     */
+    keyring.isRetired = function (id) {
+        return existingEntry(id).retired;
+    }
+
+    /**
+     * Encrypts the message with the primary key, recording its id in
+     * the ciphertext. The optional message associatedData is as for
+     * key.encrypt.
+     */
+    keyring.encrypt = function (message, associatedData) {
+        var found = primaryEntry();
+        return found.key.encrypt(message, associatedData, { keyId: cryptoe.messageFromString(found.id) });
+    }
+
+    /**
+     * The asynchronous version of encrypt (returns a promise).
+     */
+    keyring.encryptAsync = function (message, associatedData) {
+        return asPromise(function () {
+            var found = primaryEntry();
+            return found.key.encryptAsync(message, associatedData, { keyId: cryptoe.messageFromString(found.id) });
+        });
+    }
+
+    /**
+     * Decrypts a ciphertext produced by keyring.encrypt (or by a key of
+     * the keyring with the option keyId set to its id), using the key
+     * given by the id recorded in the ciphertext. It throws
+     * CryptoeError('Keyring: unknown key id') if there is no such key.
+     */
+    keyring.decrypt = function (ciphertext, associatedData) {
+        return decryptionEntry(ciphertext).key.decrypt(ciphertext, associatedData);
+    }
+
+    /**
+     * The asynchronous version of decrypt (returns a promise).
+     */
+    keyring.decryptAsync = function (ciphertext, associatedData) {
+        return asPromise(function () {
+            return decryptionEntry(ciphertext).key.decryptAsync(ciphertext, associatedData);
+        });
+    }
+
+    /**
+     * Returns the keyring (with all its keys) encrypted by masterKey (a
+     * symmetric key), see KEYRINGS.
+     */
+    keyring.asMessage = function (masterKey) {
+        assertSymmetricKey(masterKey);
+        var plaintext = cryptoe.messageFromObject({
+            version: keyringVersion,
+            primary: primary,
+            keys: entries.map(function (e) {
+                return { id: e.id, key: e.key.asMessage(), retired: e.retired };
+            })
+        });
+        try {
+            return masterKey.encrypt(plaintext, cryptoe.messageFromString(keyringAssociatedData));
+        } finally {
+            plaintext.wipe();
+        }
+    }
+
+    // Return the keyring (this) object
+    return keyring;
+}
+
+/**
+ * Creates a new empty keyring.
+ */
+cryptoe.keyring = function () {
+    return newKeyring([], null);
+}
+
+/**
+ * Decrypts a keyring serialized by keyring.asMessage(masterKey). It
+ * throws CryptoeError('Invalid Ciphertext') if the message was not
+ * encrypted by masterKey or has been modified.
+ */
+cryptoe.keyringFromMessage = function (message, masterKey) {
+    assertSymmetricKey(masterKey);
+    var plaintext = masterKey.decrypt(message, cryptoe.messageFromString(keyringAssociatedData));
+    var entries = [];
+    try {
+        var parsed = plaintext.toObject();
+        if (parsed.version !== keyringVersion || !Array.isArray(parsed.keys))
+            throw new CryptoeError();
+        parsed.keys.forEach(function (e) {
+            assertKeyId(e.id);
+            assertMessage(e.key);
+            if (e.key.len() !== 32 || typeof e.retired !== 'boolean') throw new CryptoeError();
+            if (entries.some(function (other) { return other.id === e.id; })) throw new CryptoeError();
+            entries.push({ id: e.id, key: cryptoe.symmetricKeyFromMessage(e.key), retired: e.retired });
+        });
+        var primary = parsed.primary;
+        var isValidPrimary = entries.some(function (e) { return e.id === primary && !e.retired; });
+        if (primary === null ? entries.length > 0 : !isValidPrimary) throw new CryptoeError();
+    } catch(err) {
+        throw new InvalidCiphertextError('Invalid Keyring');
+    } finally {
+        plaintext.wipe();
+    }
+    return newKeyring(entries, primary);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// PUBLIC-KEY ENCRYPTION
+
+// Public-key encryption uses RSA-OAEP with SHA-256, that is the
+// algorithm {name: 'RSA-OAEP', hash: 'SHA-256'} of the Web Crypto API.
+var rsaModulusLength = 2048;
+var rsaPublicExponent = 65537;
+
+var rsaOaepAlgorithm = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+function rsaOaepOptions(keyObject) {
+    return { key: keyObject, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' };
+}
+
+/**
+ * Private constructor for public (encryption) keys. It encapsulates
+ * keyObject, a public RSA key (KeyObject).
+ */
+function newEncryptionKey(keyObject) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'encryption' };
+
+    /**
+     * Encrypts the message. The length of the message is limited by
+     * the size of the key (for 2048-bit keys, up to 190 bytes can be
+     * encrypted).
+     */
+    key.encrypt = function (message) {
+        assertMessage(message);
+        try {
+            var encrypted = crypto.publicEncrypt(rsaOaepOptions(keyObject), message.toBytes());
+        } catch(err) {
+            throw new CryptoeTypeError('Message too long');
+        }
+        return newMessage(encrypted);
+    }
+
+    /**
+     * The asynchronous version of encrypt (returns a promise).
+     */
+    key.encryptAsync = function (message) {
+        return asPromise(function () {
+            assertMessage(message);
+            var der = keyObject.export({ type: 'spki', format: 'der' });
+            var encrypted = importSubtleKey('spki', der, rsaOaepAlgorithm, ['encrypt']).then(function (cryptoKey) {
+                return subtleCrypto().encrypt(rsaOaepAlgorithm, cryptoKey, message.toBytes());
+            });
+            return orFail(encrypted, CryptoeTypeError, 'Message too long').then(messageFromArrayBuffer);
+        });
+    }
+
+    /**
+     * Returns the key in the DER-encoded SubjectPublicKeyInfo format
+     * (the 'spki' format of the Web Crypto API).
+     */
+    key.asMessage = function () {
+        return newMessage(keyObject.export({ type: 'spki', format: 'der' }));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyObject(keyObject, 'encryption');
+    }
+
+    // Return the key (this) object
+    return key;
+}
+
+/**
+ * Private constructor for private (decryption) keys. It encapsulates
+ * keyObject, a private RSA key (KeyObject).
+ */
+function newDecryptionKey(keyObject) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'decryption' };
+
+    /**
+     * Decrypts the message. It throws CryptoeError('Invalid Ciphertext')
+     * if the message is not a valid ciphertext for this key.
+     */
+    key.decrypt = function (message) {
+        assertMessage(message);
+        try {
+            var decrypted = crypto.privateDecrypt(rsaOaepOptions(keyObject), message.toBytes());
+        } catch(err) {
+            throw new InvalidCiphertextError('Invalid Ciphertext');
+        }
+        return newMessage(decrypted);
+    }
+
+    /**
+     * The asynchronous version of decrypt (returns a promise).
+     */
+    key.decryptAsync = function (message) {
+        return asPromise(function () {
+            assertMessage(message);
+            var der = keyObject.export({ type: 'pkcs8', format: 'der' });
+            var decrypted = importSubtleKey('pkcs8', der, rsaOaepAlgorithm, ['decrypt']).then(function (cryptoKey) {
+                return subtleCrypto().decrypt(rsaOaepAlgorithm, cryptoKey, message.toBytes());
+            });
+            return orFail(decrypted, InvalidCiphertextError, 'Invalid Ciphertext').then(messageFromArrayBuffer);
+        });
+    }
+
+    /**
+     * Returns the key in the DER-encoded PKCS #8 format (the 'pkcs8'
+     * format of the Web Crypto API).
+     */
+    key.asMessage = function () {
+        return newMessage(keyObject.export({ type: 'pkcs8', format: 'der' }));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyObject(keyObject, 'decryption');
+    }
+
+    // Return the key (this) object
+    return key;
+}
+
+// Converts a message with a DER-encoded SubjectPublicKeyInfo to a
+// public KeyObject and checks that it is a key of the expected type
+// ('rsa', 'ec', ...).
+//
+function importPublicKey(message, type) {
+    assertMessage(message);
+    try {
+        var keyObject = crypto.createPublicKey({ key: message.toBytes(), format: 'der', type: 'spki' });
+    } catch(err) {
+        throw new KeyFormatError('Invalid key');
+    }
+    if (keyObject.asymmetricKeyType !== type)
+        throw new KeyFormatError('Invalid key: wrong type of key');
+    return keyObject;
+}
+
+// Converts a message with a DER-encoded PKCS #8 structure to a
+// private KeyObject and checks that it is a key of the expected type.
+//
+function importPrivateKey(message, type) {
+    assertMessage(message);
+    try {
+        var keyObject = crypto.createPrivateKey({ key: message.toBytes(), format: 'der', type: 'pkcs8' });
+    } catch(err) {
+        throw new KeyFormatError('Invalid key');
+    }
+    if (keyObject.asymmetricKeyType !== type)
+        throw new KeyFormatError('Invalid key: wrong type of key');
+    return keyObject;
+}
+
+/**
+ * Generates a new key pair for public-key encryption. It returns an
+ * object {publicKey, privateKey} (like generateKey of the Web Crypto
+ * API), where publicKey has the method encrypt(m) and privateKey has
+ * the method decrypt(m).
+ */
+cryptoe.generateEncryptionKeyPair = function () {
+    var pair = crypto.generateKeyPairSync('rsa', { modulusLength: rsaModulusLength, publicExponent: rsaPublicExponent });
+    return { publicKey:  newEncryptionKey(pair.publicKey),
+             privateKey: newDecryptionKey(pair.privateKey) };
+}
+
+/**
+ * Converts a message (as returned by publicKey.asMessage()) to a
+ * public encryption key.
+ */
+cryptoe.encryptionKeyFromMessage = function (message) {
+    return newEncryptionKey(importPublicKey(message, 'rsa'));
+}
+
+/**
+ * Converts a message (as returned by privateKey.asMessage()) to a
+ * private decryption key.
+ */
+cryptoe.decryptionKeyFromMessage = function (message) {
+    return newDecryptionKey(importPrivateKey(message, 'rsa'));
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// DIGITAL SIGNATURES
+
+// Signatures use ECDSA on the curve P-256 with SHA-256, that is the
+// algorithm {name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256'} of
+// the Web Crypto API. Signatures are encoded as r||s (the format used
+// by Web Crypto), not as DER.
+var ecdsaCurve = 'prime256v1'; // P-256
+
+var ecdsaAlgorithm = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+
+function ecdsaOptions(keyObject) {
+    return { key: keyObject, dsaEncoding: 'ieee-p1363' };
+}
+
+// Checks that an (imported) EC key is defined over the given curve.
+//
+function assertCurve(keyObject, curve) {
+    if (keyObject.asymmetricKeyDetails.namedCurve !== curve)
+        throw new KeyFormatError('Invalid key: wrong curve');
+}
+
+/**
+ * Private constructor for signing keys. It encapsulates keyObject, a
+ * private EC key (KeyObject).
+ */
+function newSigningKey(keyObject) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'signing' };
+
+    /**
+     * Signs the message and returns the signature (as a message).
+     */
+    key.sign = function (message) {
+        assertMessage(message);
+        return newMessage(crypto.sign('sha256', message.toBytes(), ecdsaOptions(keyObject)));
+    }
+
+    /**
+     * The asynchronous version of sign (returns a promise).
+     */
+    key.signAsync = function (message) {
+        return asPromise(function () {
+            assertMessage(message);
+            var der = keyObject.export({ type: 'pkcs8', format: 'der' });
+            var signed = importSubtleKey('pkcs8', der, ecdsaAlgorithm, ['sign']).then(function (cryptoKey) {
+                return subtleCrypto().sign(ecdsaAlgorithm, cryptoKey, message.toBytes());
+            });
+            return orFail(signed, KeyFormatError, 'Invalid key').then(messageFromArrayBuffer);
+        });
+    }
+
+    /**
+     * Returns the key in the DER-encoded PKCS #8 format.
+     */
+    key.asMessage = function () {
+        return newMessage(keyObject.export({ type: 'pkcs8', format: 'der' }));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyObject(keyObject, 'signing');
+    }
+
+    // Return the key (this) object
+    return key;
+}
+
+/**
+ * Private constructor for verification keys. It encapsulates
+ * keyObject, a public EC key (KeyObject).
+ */
+function newVerificationKey(keyObject) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'verification' };
+
+    /**
+     * Verifies that signature is a valid signature of the message. It
+     * returns true, if this is the case, and throws
+     * CryptoeError('Invalid Signature') otherwise.
+     */
+    key.verify = function (message, signature) {
+        assertMessage(message);
+        assertMessage(signature);
+        try {
+            var valid = crypto.verify('sha256', message.toBytes(), ecdsaOptions(keyObject), signature.toBytes());
+        } catch(err) {
+            valid = false;
+        }
+        if (!valid) throw new InvalidSignatureError('Invalid Signature');
+        return true;
+    }
+
+    /**
+     * The asynchronous version of verify (returns a promise of true,
+     * which is rejected if the signature is not valid).
+     */
+    key.verifyAsync = function (message, signature) {
+        return asPromise(function () {
+            assertMessage(message);
+            assertMessage(signature);
+            var der = keyObject.export({ type: 'spki', format: 'der' });
+            var valid = importSubtleKey('spki', der, ecdsaAlgorithm, ['verify']).then(function (cryptoKey) {
+                return subtleCrypto().verify(ecdsaAlgorithm, cryptoKey, signature.toBytes(), message.toBytes());
+            });
+            return orFail(valid, InvalidSignatureError, 'Invalid Signature').then(function (valid) {
+                if (!valid) throw new InvalidSignatureError('Invalid Signature');
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Returns the key in the DER-encoded SubjectPublicKeyInfo format.
+     */
+    key.asMessage = function () {
+        return newMessage(keyObject.export({ type: 'spki', format: 'der' }));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyObject(keyObject, 'verification');
+    }
+
+    // Return the key (this) object
+    return key;
+}
+
+/**
+ * Generates a new key pair for digital signatures. It returns an
+ * object {publicKey, privateKey}, where privateKey is a signing key
+ * (with the method sign(m)) and publicKey is a verification key (with
+ * the method verify(m, signature)).
+ */
+cryptoe.generateSigningKeyPair = function () {
+    var pair = crypto.generateKeyPairSync('ec', { namedCurve: ecdsaCurve });
+    return { publicKey:  newVerificationKey(pair.publicKey),
+             privateKey: newSigningKey(pair.privateKey) };
+}
+
+/**
+ * Converts a message (as returned by privateKey.asMessage()) to a
+ * signing key.
+ */
+cryptoe.signingKeyFromMessage = function (message) {
+    var keyObject = importPrivateKey(message, 'ec');
+    assertCurve(keyObject, ecdsaCurve);
+    return newSigningKey(keyObject);
+}
+
+/**
+ * Converts a message (as returned by publicKey.asMessage()) to a
+ * verification key.
+ */
+cryptoe.verificationKeyFromMessage = function (message) {
+    var keyObject = importPublicKey(message, 'ec');
+    assertCurve(keyObject, ecdsaCurve);
+    return newVerificationKey(keyObject);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// KEY AGREEMENT
+
+// Key agreement uses ECDH on the curve P-256 or P-384. The shared
+// secret is passed through HKDF-SHA256 (with an empty salt) to obtain
+// a symmetric key. In the Web Crypto API, this corresponds to
+// deriveBits with {name: 'ECDH'}, followed by deriveKey with
+// {name: 'HKDF', hash: 'SHA-256', salt: <empty>, info: info}
+// and {name: 'AES-GCM', length: 256}.
+var ecdhCurves = { 'P-256': 'prime256v1', 'P-384': 'secp384r1' };
+var ecdhSecretBits = { 'P-256': 256, 'P-384': 384 };
+
+// Returns the name ('P-256' or 'P-384') of the curve of an EC key.
+//
+function keyAgreementCurve(keyObject) {
+    var curve = keyObject.asymmetricKeyDetails.namedCurve;
+    for (var name in ecdhCurves) {
+        if (ecdhCurves[name] === curve) return name;
+    }
+    return undefined;
+}
+
+// Checks that an (imported) EC key is defined over one of the curves
+// supported for key agreement.
+//
+function assertKeyAgreementCurve(keyObject) {
+    if (keyAgreementCurve(keyObject) === undefined)
+        throw new KeyFormatError('Invalid key: wrong curve');
+}
+
+/**
+ * Private constructor for public key-agreement keys. It encapsulates
+ * keyObject, a public EC key (KeyObject).
+ */
+function newKeyAgreementPublicKey(keyObject) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'keyAgreementPublic' };
+
+    /**
+     * Returns the key in the DER-encoded SubjectPublicKeyInfo format.
+     */
+    key.asMessage = function () {
+        return newMessage(keyObject.export({ type: 'spki', format: 'der' }));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyObject(keyObject, 'keyAgreementPublic');
+    }
+
+    // Return the key (this) object
+    return key;
+}
+
+/**
+ * Private constructor for private key-agreement keys. It encapsulates
+ * keyObject, a private EC key (KeyObject).
+ */
+function newKeyAgreementPrivateKey(keyObject) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'keyAgreementPrivate' };
+
+    /**
+     * Derives a symmetric key shared with the owner of otherPublicKey
+     * (a public key-agreement key). The optional message info binds the
+     * derived key to some context; both parties must use the same info
+     * to obtain the same key.
+     */
+    key.deriveSymmetricKey = function (otherPublicKey, info) {
+        if (info === undefined) info = cryptoe.emptyMessage();
+        assertMessage(info);
+        var publicKeyObject = importPublicKey(keyAsMessage(otherPublicKey), 'ec');
+        assertCurve(publicKeyObject, keyObject.asymmetricKeyDetails.namedCurve);
+        var secret = crypto.diffieHellman({ privateKey: keyObject, publicKey: publicKeyObject });
+        var keyBytes = crypto.hkdfSync('sha256', secret, Buffer.alloc(0), info.toBytes(), 32);
+        return newSymmetricKey(Buffer.from(keyBytes));
+    }
+
+    /**
+     * The asynchronous version of deriveSymmetricKey (returns a promise).
+     */
+    key.deriveSymmetricKeyAsync = function (otherPublicKey, info) {
+        return asPromise(function () {
+            if (info === undefined) info = cryptoe.emptyMessage();
+            assertMessage(info);
+            var publicKeyObject = importPublicKey(keyAsMessage(otherPublicKey), 'ec');
+            assertCurve(publicKeyObject, keyObject.asymmetricKeyDetails.namedCurve);
+            var curve = keyAgreementCurve(keyObject);
+            var algorithm = { name: 'ECDH', namedCurve: curve };
+            return Promise.all([
+                importSubtleKey('pkcs8', keyObject.export({ type: 'pkcs8', format: 'der' }), algorithm, ['deriveBits']),
+                importSubtleKey('spki', publicKeyObject.export({ type: 'spki', format: 'der' }), algorithm, [])
+            ]).then(function (keys) {
+                return subtleCrypto().deriveBits({ name: 'ECDH', public: keys[1] }, keys[0], ecdhSecretBits[curve]);
+            }).then(function (secret) {
+                return importSubtleKey('raw', secret, 'HKDF', ['deriveBits']);
+            }).then(function (secretKey) {
+                var params = { name: 'HKDF', hash: 'SHA-256', salt: Buffer.alloc(0), info: info.toBytes() };
+                return subtleCrypto().deriveBits(params, secretKey, 256);
+            }).then(function (keyBytes) {
+                return newSymmetricKey(Buffer.from(keyBytes));
+            });
+        });
+    }
+
+    /**
+     * Opens a sealed box produced by cryptoe.seal for the corresponding
+     * public key (a P-256 key) and returns the message. The optional
+     * messages info and associatedData, as well as options, must be the
+     * same as the ones given to seal. It throws
+     * CryptoeError('Invalid Ciphertext') if the sealed box is not valid.
+     */
+    key.open = function (ciphertext, info, associatedData, options) {
+        return hpkeOpen(keyObject, ciphertext, info, associatedData, options);
+    }
+
+    /**
+     * Returns the key in the DER-encoded PKCS #8 format.
+     */
+    key.asMessage = function () {
+        return newMessage(keyObject.export({ type: 'pkcs8', format: 'der' }));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyObject(keyObject, 'keyAgreementPrivate');
+    }
+
+    // Return the key (this) object
+    return key;
+}
+
+/**
+ * Generates a new key pair for key agreement. It returns an object
+ * {publicKey, privateKey}, where privateKey has the method
+ * deriveSymmetricKey(otherPublicKey, info). The curve can be 'P-256'
+ * (the default) or 'P-384'.
+ */
+cryptoe.generateKeyAgreementKeyPair = function (curve) {
+    if (curve === undefined) curve = 'P-256';
+    if (!ecdhCurves.hasOwnProperty(curve))
+        throw new UnsupportedError('generateKeyAgreementKeyPair: unsupported curve');
+    var pair = crypto.generateKeyPairSync('ec', { namedCurve: ecdhCurves[curve] });
+    return { publicKey:  newKeyAgreementPublicKey(pair.publicKey),
+             privateKey: newKeyAgreementPrivateKey(pair.privateKey) };
+}
+
+/**
+ * Converts a message (as returned by publicKey.asMessage()) to a
+ * public key-agreement key.
+ */
+cryptoe.keyAgreementPublicKeyFromMessage = function (message) {
+    var keyObject = importPublicKey(message, 'ec');
+    assertKeyAgreementCurve(keyObject);
+    return newKeyAgreementPublicKey(keyObject);
+}
+
+/**
+ * Converts a message (as returned by privateKey.asMessage()) to a
+ * private key-agreement key.
+ */
+cryptoe.keyAgreementPrivateKeyFromMessage = function (message) {
+    var keyObject = importPrivateKey(message, 'ec');
+    assertKeyAgreementCurve(keyObject);
+    return newKeyAgreementPrivateKey(keyObject);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// KEY DERIVATION
+
+// Keys are derived with HKDF (RFC 5869) using HMAC-SHA256, which is
+// also available in the Web Crypto API as {name: 'HKDF', hash: 'SHA-256'}.
+var hkdfMaxLength = 255 * 32;
+var hkdfMaxInfoLength = 1024; // the limit of node's hkdf
+
+/**
+ * Computes HKDF-SHA256 (RFC 5869) of the input keying material ikm (a
+ * message) and returns length bytes of output keying material (a
+ * message). The optional messages salt and info are the salt (if not
+ * given, a string of zeros is used, as in the RFC) and the context
+ * and application specific information. The length can be at most
+ * 255*32 = 8160 and the info can have at most 1024 bytes.
+ */
+cryptoe.hkdf = function (ikm, salt, info, length) {
+    assertMessage(ikm);
+    assertInteger(length, 1, hkdfMaxLength);
+    info = optionalAssociatedData(info).toBytes();
+    if (info.length > hkdfMaxInfoLength) throw new CryptoeTypeError('HKDF: info too long');
+    // (an empty salt is equivalent to a string of zeros)
+    var okm = crypto.hkdfSync('sha256', ikm.toBytes(), optionalAssociatedData(salt).toBytes(), info, length);
+    return newMessage(Buffer.from(okm));
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// HYBRID PUBLIC-KEY ENCRYPTION
+
+// Sealed boxes follow HPKE (RFC 9180) in the base mode, with the KEM
+// DHKEM(P-256, HKDF-SHA256), the KDF HKDF-SHA256 and the AEAD
+// AES-256-GCM (AES-128-GCM can be selected with the option aead). A
+// sealed box has the format:
+//
+//   enc (65 bytes) || AEAD ciphertext || tag (16 bytes)
+//
+// where enc is the encapsulated key (the uncompressed ephemeral public
+// key) and the message is encrypted by the single-shot API of RFC 9180
+// (Section 6.1), that is with the base nonce.
+var hpkeKemId = 0x0010;
+var hpkeKdfId = 0x0001;
+var hpkeAeads = {
+    'AES-128-GCM': { id: 0x0001, keyLength: 16, cipher: 'aes-128-gcm' },
+    'AES-256-GCM': { id: 0x0002, keyLength: 32, cipher: 'aes-256-gcm' }
+};
+var hpkeEncLength = 65;
+var hpkeNonceLength = 12;
+var hpkeTagLength = 16;
+
+// HKDF-Extract and HKDF-Expand (RFC 5869) with SHA-256, as separate
+// steps (which node's hkdf does not provide) for the labeled versions
+// below.
+//
+function hkdfExtract(salt, ikm) {
+    return crypto.createHmac('sha256', salt).update(ikm).digest();
+}
+
+function hkdfExpand(prk, info, length) {
+    var blocks = [], block = Buffer.alloc(0);
+    for (var i=1; 32*(i-1) < length; ++i) {
+        block = crypto.createHmac('sha256', prk).update(Buffer.concat([block, info, Buffer.from([i])])).digest();
+        blocks.push(block);
+    }
+    return Buffer.concat(blocks).subarray(0, length);
+}
+
+// LabeledExtract and LabeledExpand of RFC 9180 (Section 4) for the
+// given suite id (a buffer).
+//
+function hpkeLabeledExtract(suiteId, salt, label, ikm) {
+    return hkdfExtract(salt, Buffer.concat([Buffer.from('HPKE-v1'), suiteId, Buffer.from(label), ikm]));
+}
+
+function hpkeLabeledExpand(suiteId, prk, label, info, length) {
+    var labeledInfo = Buffer.alloc(2);
+    labeledInfo.writeUInt16BE(length);
+    labeledInfo = Buffer.concat([labeledInfo, Buffer.from('HPKE-v1'), suiteId, Buffer.from(label), info]);
+    return hkdfExpand(prk, labeledInfo, length);
+}
+
+// Returns the parameters of the AEAD selected by options.
+//
+function hpkeAead(options) {
+    var name = (options && options.aead !== undefined) ? options.aead : 'AES-256-GCM';
+    if (!hpkeAeads.hasOwnProperty(name))
+        throw new UnsupportedError('HPKE: unsupported aead');
+    return hpkeAeads[name];
+}
+
+// Returns the uncompressed encoding of an EC public key (or of the
+// public part of a private key, which is derived first, so that the
+// private scalar is not exported).
+//
+function ecPointFromKeyObject(keyObject) {
+    if (keyObject.type === 'private') keyObject = crypto.createPublicKey(keyObject);
+    var jwk = keyObject.export({ format: 'jwk' });
+    return Buffer.concat([Buffer.from([4]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]);
+}
+
+// Converts the uncompressed encoding of a P-256 point (a buffer) to
+// a public KeyObject.
+//
+function publicKeyFromEcPoint(point) {
+    if (point.length !== hpkeEncLength || point[0] !== 4)
+        throw new InvalidCiphertextError('Invalid Ciphertext');
+    var jwk = { kty: 'EC', crv: 'P-256',
+                x: point.subarray(1, 33).toString('base64url'),
+                y: point.subarray(33).toString('base64url') };
+    try {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch(err) {
+        throw new InvalidCiphertextError('Invalid Ciphertext');
+    }
+}
+
+// Derives the AEAD key and the base nonce (as an object {key, nonce})
+// from the Diffie-Hellman secret dh, the encapsulated key enc and the
+// recipient's public key pkR (both encoded as points), following
+// ExtractAndExpand of DHKEM and KeyScheduleS/R of the base mode.
+//
+function hpkeKeySchedule(dh, enc, pkR, info, aead) {
+    var kemSuiteId = Buffer.alloc(5);
+    kemSuiteId.write('KEM');
+    kemSuiteId.writeUInt16BE(hpkeKemId, 3);
+    var eaePrk = hpkeLabeledExtract(kemSuiteId, Buffer.alloc(0), 'eae_prk', dh);
+    var sharedSecret = hpkeLabeledExpand(kemSuiteId, eaePrk, 'shared_secret', Buffer.concat([enc, pkR]), 32);
+
+    var suiteId = Buffer.alloc(10);
+    suiteId.write('HPKE');
+    suiteId.writeUInt16BE(hpkeKemId, 4);
+    suiteId.writeUInt16BE(hpkeKdfId, 6);
+    suiteId.writeUInt16BE(aead.id, 8);
+    var empty = Buffer.alloc(0);
+    var context = Buffer.concat([Buffer.from([0]), // the base mode
+                                 hpkeLabeledExtract(suiteId, empty, 'psk_id_hash', empty),
+                                 hpkeLabeledExtract(suiteId, empty, 'info_hash', info)]);
+    var secret = hpkeLabeledExtract(suiteId, sharedSecret, 'secret', empty);
+    return { key:   hpkeLabeledExpand(suiteId, secret, 'key', context, aead.keyLength),
+             nonce: hpkeLabeledExpand(suiteId, secret, 'base_nonce', context, hpkeNonceLength) };
+}
+
+// Checks the optional messages info and associatedData of seal/open
+// and returns them as buffers.
+//
+function hpkeInputs(info, associatedData) {
+    return { info: optionalAssociatedData(info).toBytes(),
+             associatedData: optionalAssociatedData(associatedData).toBytes() };
+}
+
+/**
+ * Encrypts the message for the owner of recipientPublicKey (a P-256
+ * public key-agreement key, see generateKeyAgreementKeyPair) and
+ * returns the sealed box (a message), which can be opened by
+ * recipientPrivateKey.open. The optional message info binds the sealed
+ * box to some context and the optional message associatedData is
+ * authenticated, but not encrypted; both must be given to open as well.
+ *
+ * The optional object options can specify aead ('AES-256-GCM', the
+ * default, or 'AES-128-GCM').
+ */
+cryptoe.seal = function (recipientPublicKey, message, info, associatedData, options) {
+    assertMessage(message);
+    var inputs = hpkeInputs(info, associatedData);
+    var aead = hpkeAead(options);
+    var publicKeyObject = importPublicKey(keyAsMessage(recipientPublicKey), 'ec');
+    assertCurve(publicKeyObject, 'prime256v1');
+
+    var ephemeral = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    var dh = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: publicKeyObject });
+    var enc = ecPointFromKeyObject(ephemeral.publicKey);
+    var schedule = hpkeKeySchedule(dh, enc, ecPointFromKeyObject(publicKeyObject), inputs.info, aead);
+
+    var cipher = crypto.createCipheriv(aead.cipher, schedule.key, schedule.nonce);
+    cipher.setAAD(inputs.associatedData);
+    var sealed = newMessage(enc);
+    sealed.appendBuffer(cipher.update(message.toBytes()));
+    sealed.appendBuffer(cipher.final());
+    sealed.appendBuffer(cipher.getAuthTag());
+    return sealed;
+}
+
+// Opens a sealed box (see key.open of private key-agreement keys).
+//
+function hpkeOpen(keyObject, ciphertext, info, associatedData, options) {
+    assertMessage(ciphertext);
+    var inputs = hpkeInputs(info, associatedData);
+    var aead = hpkeAead(options);
+    assertCurve(keyObject, 'prime256v1');
+    var bytes = ciphertext.toBytes();
+    if (bytes.length < hpkeEncLength + hpkeTagLength)
+        throw new InvalidCiphertextError('Invalid Ciphertext');
+
+    var enc = bytes.subarray(0, hpkeEncLength);
+    var dh = crypto.diffieHellman({ privateKey: keyObject, publicKey: publicKeyFromEcPoint(enc) });
+    var schedule = hpkeKeySchedule(dh, enc, ecPointFromKeyObject(keyObject), inputs.info, aead);
+
+    var decipher = crypto.createDecipheriv(aead.cipher, schedule.key, schedule.nonce);
+    decipher.setAAD(inputs.associatedData);
+    decipher.setAuthTag(bytes.subarray(bytes.length - hpkeTagLength));
+    try {
+        var decrypted = decipher.update(bytes.subarray(hpkeEncLength, bytes.length - hpkeTagLength));
+        return newMessage(Buffer.concat([decrypted, decipher.final()]));
+    } catch(err) {
+        throw new InvalidCiphertextError('Invalid Ciphertext');
+    }
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// ENVELOPES
+
+// An envelope encrypts a message once, under a fresh content key,
+// and wraps the content key for each of its recipients. It is the
+// message encoding (see messageFromObject) of the object
+//
+//   { version: 1,
+//     recipients: [ { id: <message>, wrappedKey: <message> }, ... ],
+//     payload: <message> }
+//
+// where payload is the message encrypted by the content key (with
+// key.encrypt), the id of a recipient is the thumbprint of its key (see
+// keyThumbprint) and wrappedKey is the content key encrypted for the
+// recipient:
+//
+//   symmetric keys:         key.encrypt with the associated data
+//                           'cryptoe envelope',
+//   (RSA) encryption keys:  key.encrypt,
+//   key-agreement keys:     cryptoe.seal with the info
+//                           'cryptoe envelope' (only P-256 keys).
+//
+// The list of recipients is not authenticated by the payload, so that
+// recipients can be added and removed without re-encrypting it.
+var envelopeVersion = 1;
+var envelopeInfo = 'cryptoe envelope';
+
+// Returns the recipient (an object {key, type, id}) of an envelope
+// given by a key.
+//
+function envelopeRecipient(key) {
+    return { key: key, type: keyType(key), id: cryptoe.keyThumbprint(key) };
+}
+
+// Parses an envelope (message) and returns the object described in
+// ENVELOPES.
+//
+function takeEnvelope(envelope) {
+    assertMessage(envelope);
+    try {
+        var parsed = envelope.toObject();
+        if (parsed.version !== envelopeVersion || !Array.isArray(parsed.recipients))
+            throw new CryptoeError();
+        assertMessage(parsed.payload);
+        parsed.recipients.forEach(function (slot) {
+            assertMessage(slot.id);
+            assertMessage(slot.wrappedKey);
+        });
+    } catch(err) {
+        throw new InvalidCiphertextError('Invalid Envelope');
+    }
+    return parsed;
+}
+
+// Returns the index of the slot of recipient in the parsed envelope
+// (or -1 if there is no such slot).
+//
+function envelopeSlotIndex(parsed, recipient) {
+    for (var i=0; i<parsed.recipients.length; ++i) {
+        if (parsed.recipients[i].id.equals(recipient.id)) return i;
+    }
+    return -1;
+}
+
+// Wraps the content key (a message) for the recipient and adds the
+// slot to the parsed envelope.
+//
+function addEnvelopeSlot(parsed, recipient, contentKey) {
+    if (envelopeSlotIndex(parsed, recipient) >= 0)
+        throw new StateError('Envelope: duplicate recipient');
+    var info = cryptoe.messageFromString(envelopeInfo);
+    var wrappedKey;
+    if (recipient.type === 'symmetric') {
+        wrappedKey = recipient.key.encrypt(contentKey, info);
+    } else if (recipient.type === 'encryption') {
+        wrappedKey = recipient.key.encrypt(contentKey);
+    } else if (recipient.type === 'keyAgreementPublic') {
+        wrappedKey = cryptoe.seal(recipient.key, contentKey, info);
+    } else {
+        throw new CryptoeTypeError('Envelope: unsupported type of recipient key');
+    }
+    parsed.recipients.push({ id: recipient.id, wrappedKey: wrappedKey });
+}
+
+// Finds the slot of recipient in the parsed envelope and returns the
+// content key (a symmetric key).
+//
+function unwrapEnvelopeKey(parsed, recipient) {
+    var index = envelopeSlotIndex(parsed, recipient);
+    if (index < 0) throw new KeyNotFoundError('Envelope: not a recipient');
+    var wrappedKey = parsed.recipients[index].wrappedKey;
+    var info = cryptoe.messageFromString(envelopeInfo);
+    var keyMessage;
+    if (recipient.type === 'symmetric') {
+        keyMessage = recipient.key.decrypt(wrappedKey, info);
+    } else if (recipient.type === 'decryption') {
+        keyMessage = recipient.key.decrypt(wrappedKey);
+    } else if (recipient.type === 'keyAgreementPrivate') {
+        keyMessage = recipient.key.open(wrappedKey, info);
+    } else {
+        throw new CryptoeTypeError('Envelope: unsupported type of recipient key');
+    }
+    if (keyMessage.len() !== 32) throw new InvalidCiphertextError('Invalid Envelope');
+    var contentKey = cryptoe.symmetricKeyFromMessage(keyMessage);
+    keyMessage.wipe();
+    return contentKey;
+}
+
+/**
+ * Encrypts the message for several recipients and returns the
+ * envelope (a message). Recipients is a non-empty array of keys:
+ * symmetric keys, (RSA) encryption keys and (P-256) public
+ * key-agreement keys. The optional message associatedData is
+ * authenticated, but not encrypted; it must be given to openEnvelope
+ * as well.
+ *
+ * Note that, like for public-key encryption, envelopes do not
+ * authenticate their sender.
+ */
+cryptoe.createEnvelope = function (message, recipients, associatedData) {
+    assertMessage(message);
+    if (!Array.isArray(recipients) || recipients.length === 0)
+        throw new CryptoeTypeError('Type Error: expected non-empty array of keys');
+    var contentKey = cryptoe.generateSymmetricKey();
+    var parsed = { version: envelopeVersion, recipients: [],
+                   payload: contentKey.encrypt(message, associatedData) };
+    var keyMessage = contentKey.asMessage();
+    try {
+        recipients.forEach(function (key) {
+            addEnvelopeSlot(parsed, envelopeRecipient(key), keyMessage);
+        });
+    } finally {
+        keyMessage.wipe();
+        contentKey.destroy();
+    }
+    return cryptoe.messageFromObject(parsed);
+}
+
+/**
+ * Opens an envelope with the key of one of its recipients (the
+ * symmetric key, the (RSA) decryption key or the private key-agreement
+ * key) and returns the message. It throws
+ * CryptoeError('Envelope: not a recipient') if the key is not among
+ * the recipients and CryptoeError('Invalid Ciphertext') or
+ * CryptoeError('Invalid Envelope') if the envelope is not valid.
+ */
+cryptoe.openEnvelope = function (envelope, key, associatedData) {
+    var parsed = takeEnvelope(envelope);
+    var contentKey = unwrapEnvelopeKey(parsed, envelopeRecipient(key));
+    try {
+        return contentKey.decrypt(parsed.payload, associatedData);
+    } finally {
+        contentKey.destroy();
+    }
+}
+
+/**
+ * Returns a copy of the envelope with the new recipient newRecipient
+ * (a key, as for createEnvelope). The key of an existing recipient is
+ * needed to access the content key. The payload is not re-encrypted.
+ */
+cryptoe.addEnvelopeRecipient = function (envelope, key, newRecipient) {
+    var parsed = takeEnvelope(envelope);
+    var contentKey = unwrapEnvelopeKey(parsed, envelopeRecipient(key));
+    var keyMessage = contentKey.asMessage();
+    try {
+        addEnvelopeSlot(parsed, envelopeRecipient(newRecipient), keyMessage);
+    } finally {
+        keyMessage.wipe();
+        contentKey.destroy();
+    }
+    return cryptoe.messageFromObject(parsed);
+}
+
+/**
+ * Returns a copy of the envelope without the recipient given by its
+ * key (for key pairs, the public or the private key). The payload is
+ * not re-encrypted, so a removed recipient who kept the content key
+ * (or an old copy of the envelope) can still decrypt it.
+ */
+cryptoe.removeEnvelopeRecipient = function (envelope, recipient) {
+    var parsed = takeEnvelope(envelope);
+    var index = envelopeSlotIndex(parsed, envelopeRecipient(recipient));
+    if (index < 0) throw new KeyNotFoundError('Envelope: not a recipient');
+    if (parsed.recipients.length === 1)
+        throw new StateError('Envelope: cannot remove the last recipient');
+    parsed.recipients.splice(index, 1);
+    return cryptoe.messageFromObject(parsed);
+}
+
+/**
+ * Returns the ids (messages) of the recipients of an envelope, that
+ * is the thumbprints of their keys (see keyThumbprint).
+ */
+cryptoe.envelopeRecipientIds = function (envelope) {
+    return takeEnvelope(envelope).recipients.map(function (slot) { return slot.id; });
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// PASSWORD-BASED KEYS
+
+// Symmetric keys can be derived from passwords using PBKDF2 with
+// SHA-256 (the default; it is supported by the Web Crypto API) or
+// scrypt (not supported by Web Crypto, so meant for server-only use).
+var passwordKdfDefaults = {
+    'PBKDF2': { iterations: 600000 },
+    'scrypt': { cost: 32768, blockSize: 8, parallelization: 1 }
+};
+var passwordKdfIds = { 'PBKDF2': 1, 'scrypt': 2 };
+// Upper limits of the KDF options. Parameters are also read from
+// untrusted messages (before anything is authenticated), so they must
+// not let such a message request arbitrary amounts of time or memory:
+// the work (see passwordKdfWork) is at most passwordKdfMaxWorkFactor
+// times the work of the defaults, which for scrypt also bounds the
+// memory (128 * N * r bytes) by 256 MiB.
+var passwordKdfLimits = {
+    'PBKDF2': { },
+    'scrypt': { cost: 1 << 20, blockSize: 32, parallelization: 16 }
+};
+var passwordKdfMaxWorkFactor = 8;
+var passwordSaltLength = 16;
+var passwordParametersVersion = 1;
+
+// Returns a complete set of KDF options, where the missing options
+// are taken from passwordKdfDefaults.
+//
+function passwordKdfOptions(options) {
+    if (options === undefined || options === null) options = {};
+    var algorithm = options.algorithm || 'PBKDF2';
+    if (!passwordKdfDefaults.hasOwnProperty(algorithm))
+        throw new UnsupportedError('Unsupported password-based key derivation: ' + algorithm);
+    var defaults = passwordKdfDefaults[algorithm];
+    var result = { algorithm: algorithm };
+    for (var name in defaults) {
+        var value = options[name] === undefined ? defaults[name] : options[name];
+        if (typeof value !== 'number' || value < 1 || value > 0xffffffff || value % 1 !== 0)
+            throw new CryptoeTypeError('Type Error: ' + name + ' must be a positive integer');
+        result[name] = value;
+    }
+    assertPasswordKdfLimits(result);
+    return result;
+}
+
+// Returns the work of the KDF algorithm with the given (complete)
+// options: the number of iterations of PBKDF2 and N * r * p for scrypt.
+//
+function passwordKdfWork(algorithm, options) {
+    if (algorithm === 'PBKDF2') return options.iterations;
+    return options.cost * options.blockSize * options.parallelization;
+}
+
+// Throws UnsupportedError if the (complete) KDF options exceed
+// passwordKdfLimits or passwordKdfMaxWorkFactor.
+//
+function assertPasswordKdfLimits(options) {
+    var limits = passwordKdfLimits[options.algorithm];
+    for (var name in limits) {
+        if (options[name] > limits[name])
+            throw new UnsupportedError('Unsupported ' + options.algorithm + ' parameters: ' +
+                                       name + ' above ' + limits[name]);
+    }
+    var maxWork = passwordKdfMaxWorkFactor * passwordKdfWork(options.algorithm, passwordKdfDefaults[options.algorithm]);
+    if (passwordKdfWork(options.algorithm, options) > maxWork)
+        throw new UnsupportedError('Unsupported ' + options.algorithm + ' parameters: too much work');
+}
+
+// Converts a password (a string or a message) to a buffer.
+//
+function passwordBytes(password) {
+    if (typeof password === 'string') return Buffer.from(password, 'utf8');
+    assertMessage(password);
+    return password.toBytes();
+}
+
+// Converts (complete) scrypt options to the options of node's scrypt.
+//
+function scryptOptions(options) {
+    var maxmem = 256 * options.cost * options.blockSize * options.parallelization;
+    return { N: options.cost, r: options.blockSize, p: options.parallelization, maxmem: maxmem };
+}
+
+// Derives the bytes of a 256-bit key from the given password (buffer)
+// and salt (buffer) using a KDF with the given (complete) options.
+//
+function derivePasswordKeyBytes(password, salt, options) {
+    try {
+        if (options.algorithm === 'PBKDF2') {
+            return crypto.pbkdf2Sync(password, salt, options.iterations, 32, 'sha256');
+        } else {
+            return crypto.scryptSync(password, salt, 32, scryptOptions(options));
+        }
+    } catch(err) {
+        throw new CryptoeTypeError('Invalid parameters of ' + options.algorithm);
+    }
+}
+
+// Returns the message recording the salt and the (complete) options
+// of a password-based key (see generatePasswordKey).
+//
+function passwordParameters(salt, options) {
+    var parameters = cryptoe.emptyMessage();
+    parameters.appendByte(passwordParametersVersion);
+    parameters.appendByte(passwordKdfIds[options.algorithm]);
+    for (var name in passwordKdfDefaults[options.algorithm]) {
+        parameters.appendUint32(options[name]);
+    }
+    parameters.appendByte(salt.len());
+    parameters.appendMessage(salt);
+    return parameters;
+}
+
+// Parses the result of passwordParameters. Returns an object
+// {salt, options}.
+//
+function parsePasswordParameters(parameters) {
+    assertMessage(parameters);
+    var p = parameters.clone();
+    var options = {};
+    try {
+        if (p.takeByte() !== passwordParametersVersion) throw new CryptoeError();
+        var id = p.takeByte();
+        for (var algorithm in passwordKdfIds) {
+            if (passwordKdfIds[algorithm] === id) options.algorithm = algorithm;
+        }
+        if (options.algorithm === undefined) throw new CryptoeError();
+        for (var name in passwordKdfDefaults[options.algorithm]) {
+            options[name] = p.takeUint32();
+        }
+        var salt = p.takeMessage(p.takeByte());
+    } catch(err) {
+        throw new EncodingError('Invalid password key parameters');
+    }
+    if (p.len() !== 0) throw new EncodingError('Invalid password key parameters');
+    for (name in options) {
+        if (options[name] === 0) throw new EncodingError('Invalid password key parameters');
+    }
+    assertPasswordKdfLimits(options);
+    if (options.algorithm === 'scrypt' && (options.cost & (options.cost - 1)) !== 0)
+        throw new EncodingError('Invalid password key parameters');
+    return { salt: salt, options: options };
+}
+
+/**
+ * Derives a symmetric key from a password (a string or a message) and
+ * a salt (a message). The optional object options can specify:
+ *
+ *   algorithm:        'PBKDF2' (the default) or 'scrypt',
+ *   iterations:       the number of iterations of PBKDF2,
+ *   cost, blockSize, parallelization:
+ *                     the parameters N, r, p of scrypt.
+ *
+ * The same password, salt and options always give the same key.
+ * Options above the limits (at most 4,800,000 iterations; N at most
+ * 2^20, r at most 32, p at most 16, and N * r * p at most 2^21, that
+ * is 8 times the defaults) throw UnsupportedError.
+ */
+cryptoe.symmetricKeyFromPassword = function (password, salt, options) {
+    assertMessage(salt);
+    options = passwordKdfOptions(options);
+    return newSymmetricKey(derivePasswordKeyBytes(passwordBytes(password), salt.toBytes(), options));
+}
+
+/**
+ * Derives a symmetric key from a password using a fresh random salt.
+ * Returns an object {key, parameters}, where parameters is a message
+ * recording the salt and the options (see symmetricKeyFromPassword),
+ * which can be stored along with the data protected by the key, and
+ * later used to re-derive the key with
+ * symmetricKeyFromPasswordParameters.
+ */
+cryptoe.generatePasswordKey = function (password, options) {
+    options = passwordKdfOptions(options);
+    var salt = cryptoe.random(passwordSaltLength);
+    return { key: cryptoe.symmetricKeyFromPassword(password, salt, options),
+             parameters: passwordParameters(salt, options) };
+}
+
+/**
+ * Re-derives a symmetric key from a password and parameters (as
+ * returned by generatePasswordKey).
+ */
+cryptoe.symmetricKeyFromPasswordParameters = function (password, parameters) {
+    var parsed = parsePasswordParameters(parameters);
+    return cryptoe.symmetricKeyFromPassword(password, parsed.salt, parsed.options);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// KEY STORES
+
+// A key store holds named keys of any type and is serialized (see
+// keyStore.asMessage) encrypted under a password-based key:
+//
+//   version (1 byte) || parameters (length-prefixed) || verifier (32 bytes)
+//       || ciphertext
+//
+// where parameters are the parameters of the password-based key (see
+// generatePasswordKey) and the verifier and the key encrypting the
+// contents are derived from the password-based key (see key.deriveKey).
+// The verifier tells a wrong password apart from corrupted data. The
+// ciphertext (produced by key.encrypt, with the header as the
+// associated data) is the encryption of the encoding (see
+// messageFromObject) of
+//
+//   { keys: [ { name: <string>, type: <type>, key: <message> }, ... ] }
+//
+// where type is the type of the key (as in jwkProperties) and key is
+// the result of key.asMessage().
+var keyStoreVersion = 1;
+var keyStoreLoaders = {
+    symmetric:           function (m) { return cryptoe.symmetricKeyFromMessage(m); },
+    mac:                 function (m) { return cryptoe.macKeyFromMessage(m); },
+    encryption:          function (m) { return cryptoe.encryptionKeyFromMessage(m); },
+    decryption:          function (m) { return cryptoe.decryptionKeyFromMessage(m); },
+    signing:             function (m) { return cryptoe.signingKeyFromMessage(m); },
+    verification:        function (m) { return cryptoe.verificationKeyFromMessage(m); },
+    keyAgreementPublic:  function (m) { return cryptoe.keyAgreementPublicKeyFromMessage(m); },
+    keyAgreementPrivate: function (m) { return cryptoe.keyAgreementPrivateKeyFromMessage(m); }
+};
+
+// Returns the keys {encryptionKey, verifier} of a key store derived
+// from its password-based key.
+//
+function keyStoreKeys(passwordKey) {
+    var verifierKey = passwordKey.deriveKey(cryptoe.messageFromString('cryptoe key store verifier'));
+    var keys = { encryptionKey: passwordKey.deriveKey(cryptoe.messageFromString('cryptoe key store encryption')),
+                 verifier: verifierKey.asMessage() };
+    verifierKey.destroy();
+    passwordKey.destroy();
+    return keys;
+}
+
+/**
+ * Private constructor of key stores. It encapsulates entries, an array
+ * of objects {name, key}.
+ */
+function newKeyStore(entries) {
+    // the key store object to be returned
+    var store = { };
+
+    // Returns the index of the entry with the given name (or -1).
+    function indexOf(name) {
+        assertString(name);
+        for (var i=0; i<entries.length; ++i) {
+            if (entries[i].name === name) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Stores the key (of any type) under the given name (a non-empty
+     * string), replacing the key previously stored under this name.
+     */
+    store.set = function (name, key) {
+        var index = indexOf(name);
+        if (name === '') throw new CryptoeTypeError('Key store: invalid name');
+        keyType(key); // checks that key is a key
+        if (index < 0) {
+            entries.push({ name: name, key: key });
+        } else {
+            entries[index].key = key;
+        }
+    }
+
+    /**
+     * Returns the key stored under the given name. It throws
+     * CryptoeError('Key store: unknown key') if there is no such key.
+     */
+    store.get = function (name) {
+        var index = indexOf(name);
+        if (index < 0) throw new KeyNotFoundError('Key store: unknown key');
+        return entries[index].key;
+    }
+
+    /**
+     * Returns whether a key is stored under the given name.
+     */
+    store.has = function (name) {
+        return indexOf(name) >= 0;
+    }
+
+    /**
+     * Removes the key stored under the given name.
+     */
+    store.remove = function (name) {
+        var index = indexOf(name);
+        if (index < 0) throw new KeyNotFoundError('Key store: unknown key');
+        entries.splice(index, 1);
+    }
+
+    /**
+     * Returns the names of the stored keys.
+     */
+    store.names = function () {
+        return entries.map(function (e) { return e.name; });
+    }
+
+    /**
+     * Returns the key store encrypted under a key derived from the
+     * password (a string or a message), see KEY STORES. The optional
+     * object options specifies the password-based key derivation (as
+     * for generatePasswordKey).
+     */
+    store.asMessage = function (password, options) {
+        var passwordKey = cryptoe.generatePasswordKey(password, options);
+        var keys = keyStoreKeys(passwordKey.key);
+        var header = cryptoe.emptyMessage();
+        header.appendByte(keyStoreVersion);
+        header.appendLengthPrefixed(passwordKey.parameters);
+        header.appendMessage(keys.verifier);
+
+        var plaintext = cryptoe.messageFromObject({
+            keys: entries.map(function (e) {
+                return { name: e.name, type: keyType(e.key), key: e.key.asMessage() };
+            })
+        });
+        var result = header.clone();
+        result.appendMessage(keys.encryptionKey.encrypt(plaintext, header));
+        plaintext.wipe();
+        keys.encryptionKey.destroy();
+        return result;
+    }
+
+    // Return the key store (this) object
+    return store;
+}
+
+/**
+ * Creates a new empty key store.
+ */
+cryptoe.keyStore = function () {
+    return newKeyStore([]);
+}
+
+/**
+ * Loads a key store serialized by keyStore.asMessage(password). It
+ * throws CryptoeError('Key store: wrong password') if the password is
+ * not the one the key store was saved with, and
+ * CryptoeError('Key store: corrupted data') if the message is not a
+ * valid key store. Password parameters above the limits of
+ * symmetricKeyFromPassword count as corrupted data; they are rejected
+ * before any key is derived. The version byte is checked first, and a
+ * key store of any other version (including one whose version byte
+ * has been modified, which cannot be told apart, as the header is
+ * authenticated by the format of its version) throws
+ * UnsupportedError('Key store: unsupported version').
+ */
+cryptoe.loadKeyStore = function (message, password) {
+    assertMessage(message);
+    var rest = message.clone();
+    try {
+        var version = rest.takeByte();
+        var parameters = rest.takeLengthPrefixed();
+        var verifier = rest.takeMessage(32);
+    } catch(err) {
+        throw new InvalidCiphertextError('Key store: corrupted data');
+    }
+    if (version !== keyStoreVersion) throw new UnsupportedError('Key store: unsupported version');
+    var header = message.slice(0, message.len() - rest.len());
+
+    passwordBytes(password); // checks the type of the password
+    try {
+        var parsed = parsePasswordParameters(parameters);
+        var passwordKey = cryptoe.symmetricKeyFromPassword(password, parsed.salt, parsed.options);
+    } catch(err) {
+        throw new InvalidCiphertextError('Key store: corrupted data');
+    }
+    var keys = keyStoreKeys(passwordKey);
+    if (!keys.verifier.equals(verifier)) {
+        keys.encryptionKey.destroy();
+        throw new WrongPasswordError('Key store: wrong password');
+    }
+
+    var entries = [];
+    try {
+        var plaintext = keys.encryptionKey.decrypt(rest, header);
+        try {
+            plaintext.toObject().keys.forEach(function (e) {
+                assertString(e.name);
+                if (!keyStoreLoaders.hasOwnProperty(e.type)) throw new CryptoeError();
+                entries.push({ name: e.name, key: keyStoreLoaders[e.type](e.key) });
+            });
+        } finally {
+            plaintext.wipe();
+        }
+    } catch(err) {
+        throw new InvalidCiphertextError('Key store: corrupted data');
+    } finally {
+        keys.encryptionKey.destroy();
+    }
+    return newKeyStore(entries);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// HASH FUNCTIONS
+
+// Supported hash algorithms (with the names used by the Web Crypto API)
+// and the corresponding names used by node.
+var hashAlgorithms = { 'SHA-256': 'sha256', 'SHA-384': 'sha384', 'SHA-512': 'sha512' };
+
+// Returns the node name of the given hash algorithm (SHA-256 by default).
+//
+function hashAlgorithm(algorithm) {
+    if (algorithm === undefined) algorithm = 'SHA-256';
+    if (!hashAlgorithms.hasOwnProperty(algorithm))
+        throw new UnsupportedError('Unsupported hash algorithm: ' + algorithm);
+    return hashAlgorithms[algorithm];
+}
+
+/**
+ * Creates a new incremental hasher for the given algorithm ('SHA-256'
+ * (the default), 'SHA-384' or 'SHA-512'). The hasher has the methods
+ * update(m), which adds the message m to the hashed data (and returns
+ * the hasher itself), and digest(), which returns the hash of all
+ * the added data (as a message). After digest() has been called,
+ * the hasher can not be used anymore.
+ */
+cryptoe.hasher = function (algorithm) {
+    var hash = crypto.createHash(hashAlgorithm(algorithm));
+    var finished = false;
+
+    // the hasher object to be returned
+    var hasher = { };
+
+    hasher.update = function (message) {
+        assertMessage(message);
+        if (finished) throw new StateError('Hasher.update: digest already computed');
+        hash.update(message.toBytes());
+        return hasher;
+    }
+
+    hasher.digest = function () {
+        if (finished) throw new StateError('Hasher.digest: digest already computed');
+        finished = true;
+        return newMessage(hash.digest());
+    }
+
+    return hasher;
+}
+
+/**
+ * Returns the hash of the message (as a message) computed with the
+ * given algorithm ('SHA-256' (the default), 'SHA-384' or 'SHA-512').
+ */
+cryptoe.hash = function (message, algorithm) {
+    return cryptoe.hasher(algorithm).update(message).digest();
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// MESSAGE AUTHENTICATION CODES
+
+// MACs are computed using HMAC with SHA-256, that is the algorithm
+// {name: 'HMAC', hash: 'SHA-256'} of the Web Crypto API. Generated
+// keys have 512 bits (the block size of SHA-256), which is also the
+// default length of HMAC keys generated by Web Crypto.
+var macKeyLength = 64;
+var hmacAlgorithm = { name: 'HMAC', hash: 'SHA-256' };
+
+/**
+ * Private constructor for MAC keys. It encapsuates keyBytes (buffer).
+ */
+function newMacKey(keyBytes) {
+    // the key object to be returned (see keyType)
+    var key = { _type: 'mac' };
+
+    /**
+     * Computes the authentication tag of the message (as a message).
+     */
+    key.tag = function (message) {
+        assertMessage(message);
+        return newMessage(crypto.createHmac('sha256', keyBytes).update(message.toBytes()).digest());
+    }
+
+    /**
+     * The asynchronous version of tag (returns a promise).
+     */
+    key.tagAsync = function (message) {
+        return asPromise(function () {
+            assertMessage(message);
+            var tagged = importSubtleKey('raw', keyBytes, hmacAlgorithm, ['sign']).then(function (cryptoKey) {
+                return subtleCrypto().sign(hmacAlgorithm, cryptoKey, message.toBytes());
+            });
+            return orFail(tagged, KeyFormatError, 'Invalid key').then(messageFromArrayBuffer);
+        });
+    }
+
+    /**
+     * Verifies that tag is the authentication tag of the message. It
+     * returns true, if this is the case, and throws
+     * CryptoeError('Invalid Tag') otherwise. The tags are compared in
+     * constant time.
+     */
+    key.verify = function (message, tag) {
+        assertMessage(tag);
+        var expected = key.tag(message).toBytes();
+        var given = tag.toBytes();
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected))
+            throw new InvalidSignatureError('Invalid Tag');
+        return true;
+    }
+
+    /**
+     * The asynchronous version of verify (returns a promise of true,
+     * which is rejected if the tag is not valid).
+     */
+    key.verifyAsync = function (message, tag) {
+        return asPromise(function () {
+            assertMessage(message);
+            assertMessage(tag);
+            return importSubtleKey('raw', keyBytes, hmacAlgorithm, ['verify']).then(function (cryptoKey) {
+                return subtleCrypto().verify(hmacAlgorithm, cryptoKey, tag.toBytes(), message.toBytes());
+            }).then(function (valid) {
+                if (!valid) throw new InvalidSignatureError('Invalid Tag');
+                return true;
+            });
+        });
     }
 
     key.asMessage = function () {
-        return newMessage(keyBytes);
+        return newMessage(Buffer.from(keyBytes));
+    }
+
+    /**
+     * Returns the key as a JSON Web Key (an object), which can be
+     * imported by the Web Crypto API with importKey('jwk', ...).
+     */
+    key.toJwk = function () {
+        return jwkFromKeyBytes(keyBytes, 'mac');
     }
 
     // Return the key (this) object
     return key;
+}
+
+/**
+ * Generates a new MAC key.
+ *
+ * A MAC key has, most importantly, methods tag(m) and verify(m, tag).
+ */
+cryptoe.generateMacKey = function () {
+    var key = cryptoe.random(macKeyLength);
+    return newMacKey(key.toBytes());
+}
+
+/**
+ * Convert a message to a MAC key.
+ */
+cryptoe.macKeyFromMessage = function (message) {
+    assertMessage(message);
+    if (message.len() === 0) throw new KeyFormatError('Invalid key: empty key');
+    return newMacKey(message.toBytes());
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// JSON WEB KEYS
+
+// The properties of the JSON Web Keys (RFC 7517) of the different
+// types of keys, as expected by the Web Crypto API.
+var jwkProperties = {
+    symmetric:           { kty: 'oct', alg: 'A256GCM',      use: 'enc', key_ops: ['encrypt', 'decrypt'] },
+    mac:                 { kty: 'oct', alg: 'HS256',        use: 'sig', key_ops: ['sign', 'verify'] },
+    encryption:          { kty: 'RSA', alg: 'RSA-OAEP-256', use: 'enc', key_ops: ['encrypt'] },
+    decryption:          { kty: 'RSA', alg: 'RSA-OAEP-256', use: 'enc', key_ops: ['decrypt'] },
+    signing:             { kty: 'EC',  alg: 'ES256',        use: 'sig', key_ops: ['sign'] },
+    verification:        { kty: 'EC',  alg: 'ES256',        use: 'sig', key_ops: ['verify'] },
+    keyAgreementPublic:  { kty: 'EC',  alg: 'ECDH-ES',      use: 'enc', key_ops: [] },
+    keyAgreementPrivate: { kty: 'EC',  alg: 'ECDH-ES',      use: 'enc', key_ops: ['deriveKey', 'deriveBits'] }
 };
 
+// Adds the properties alg, use, key_ops and ext of the given type of
+// keys to jwk.
+//
+function completeJwk(jwk, type) {
+    var properties = jwkProperties[type];
+    jwk.alg = properties.alg;
+    jwk.use = properties.use;
+    jwk.key_ops = properties.key_ops.slice();
+    jwk.ext = true;
+    return jwk;
+}
+
+// Returns the JWK of a symmetric (or MAC) key given by keyBytes.
+//
+function jwkFromKeyBytes(keyBytes, type) {
+    return completeJwk({ kty: 'oct', k: keyBytes.toString('base64url') }, type);
+}
+
+// Returns the JWK of an asymmetric key given by keyObject.
+//
+function jwkFromKeyObject(keyObject, type) {
+    return completeJwk(keyObject.export({ format: 'jwk' }), type);
+}
+
+// Returns the type of a key object (a property of jwkProperties),
+// which the private constructors of keys record in the property _type.
+//
+function keyType(key) {
+    if (typeof key !== 'object' || key === null || !jwkProperties.hasOwnProperty(key._type))
+        throw new CryptoeTypeError('Type Error: expected key');
+    return key._type;
+}
+
+// Checks that key is a symmetric key.
+//
+function assertSymmetricKey(key) {
+    if (keyType(key) !== 'symmetric')
+        throw new CryptoeTypeError('Type Error: expected symmetric key');
+}
+
+// Returns key.asMessage(), checking first that key is a key object.
+//
+function keyAsMessage(key) {
+    if (typeof key !== 'object' || key === null || typeof key.asMessage !== 'function')
+        throw new CryptoeTypeError('Type Error: expected key');
+    return key.asMessage();
+}
+
+// The members of JWKs used by thumbprints (RFC 7638) for each key
+// type (kty), in the lexicographic order.
+var jwkThumbprintMembers = { oct: ['k', 'kty'], RSA: ['e', 'kty', 'n'], EC: ['crv', 'kty', 'x', 'y'] };
+
+// The types of keys whose asMessage() is a PKCS #8 structure (the
+// other asymmetric keys give an SPKI structure).
+var privateKeyTypes = ['decryption', 'signing', 'keyAgreementPrivate'];
+
+var base64UrlAlphabet = Buffer.from('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_');
+
+// Encodes bytes (a buffer) in base64url without padding. Unlike
+// toString('base64url'), it returns a buffer (of ASCII characters), so
+// that an encoded secret can be wiped.
+//
+function base64UrlBuffer(bytes) {
+    var result = Buffer.alloc(Math.ceil(bytes.length * 4 / 3));
+    var j = 0;
+    for (var i=0; i<bytes.length; i+=3) {
+        var count = Math.min(3, bytes.length - i);
+        var chunk = (bytes[i] << 16) | ((count > 1 ? bytes[i+1] : 0) << 8) | (count > 2 ? bytes[i+2] : 0);
+        for (var n=0; n<=count; ++n) result[j++] = base64UrlAlphabet[(chunk >>> (18 - 6*n)) & 63];
+    }
+    return result;
+}
+
+// Returns the public KeyObject of an asymmetric key (of the given
+// type), derived from its asMessage().
+//
+function publicKeyObjectOf(key, type) {
+    var der = key.asMessage();
+    try {
+        if (privateKeyTypes.indexOf(type) < 0)
+            return crypto.createPublicKey({ key: der._bytes(), format: 'der', type: 'spki' });
+        return crypto.createPublicKey(crypto.createPrivateKey({ key: der._bytes(), format: 'der', type: 'pkcs8' }));
+    } finally {
+        der.wipe();
+    }
+}
+
 /**
- * Generate a new symmetic key. 
+ * Returns the JWK thumbprint (RFC 7638) of a key: the SHA-256 hash of
+ * the required members of its JWK. The public and the private key of
+ * a key pair have the same thumbprint. Note that the thumbprint of a
+ * symmetric (or MAC) key is computed from the secret key material.
+ */
+cryptoe.keyThumbprint = function (key) {
+    var type = keyType(key);
+    var hash = crypto.createHash('sha256');
+    if (jwkProperties[type].kty === 'oct') {
+        // {"k":...,"kty":"oct"}, without copying the key to a string
+        var keyMessage = key.asMessage();
+        var k = base64UrlBuffer(keyMessage._bytes());
+        keyMessage.wipe();
+        hash.update('{"k":"').update(k).update('","kty":"oct"}');
+        k.fill(0);
+    } else {
+        var jwk = publicKeyObjectOf(key, type).export({ format: 'jwk' });
+        var members = jwkThumbprintMembers[jwk.kty].map(function (name) {
+            return JSON.stringify(name) + ':' + JSON.stringify(jwk[name]);
+        });
+        hash.update('{' + members.join(',') + '}');
+    }
+    return newMessage(hash.digest());
+}
+
+// Checks that jwk is a JWK for the given type of keys: the
+// properties kty, alg, use and key_ops (where the last three are
+// optional) must agree with jwkProperties.
+//
+function checkJwk(jwk, type) {
+    var properties = jwkProperties[type];
+    if (typeof jwk !== 'object' || jwk === null)
+        throw new CryptoeTypeError('Type Error: expected JWK');
+    if (jwk.kty !== properties.kty)
+        throw new KeyFormatError('Invalid JWK: wrong key type (kty)');
+    if (jwk.alg !== undefined && jwk.alg !== properties.alg)
+        throw new KeyFormatError('Invalid JWK: wrong algorithm (alg)');
+    if (jwk.use !== undefined && jwk.use !== properties.use)
+        throw new KeyFormatError('Invalid JWK: wrong use');
+    if (jwk.key_ops !== undefined) {
+        if (!Array.isArray(jwk.key_ops))
+            throw new KeyFormatError('Invalid JWK: wrong key_ops');
+        jwk.key_ops.forEach(function (op) {
+            if (properties.key_ops.indexOf(op) < 0)
+                throw new KeyFormatError('Invalid JWK: operation ' + op + ' not supported by the key');
+        });
+    }
+}
+
+// Returns the bytes of a symmetric (or MAC) key given as a JWK.
+//
+function keyBytesFromJwk(jwk, type) {
+    checkJwk(jwk, type);
+    if (typeof jwk.k !== 'string' || !/^[A-Za-z0-9_-]+$/.test(jwk.k))
+        throw new KeyFormatError('Invalid JWK: wrong key value (k)');
+    return Buffer.from(jwk.k, 'base64url');
+}
+
+// Returns a public KeyObject given as a JWK of the given type and
+// checks that it is a key of the expected (node) key type.
+//
+function publicKeyFromJwk(jwk, type, keyType) {
+    checkJwk(jwk, type);
+    if (jwk.d !== undefined)
+        throw new KeyFormatError('Invalid JWK: private key given');
+    try {
+        var keyObject = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch(err) {
+        throw new KeyFormatError('Invalid JWK');
+    }
+    if (keyObject.asymmetricKeyType !== keyType)
+        throw new KeyFormatError('Invalid key: wrong type of key');
+    return keyObject;
+}
+
+// Returns a private KeyObject given as a JWK of the given type and
+// checks that it is a key of the expected (node) key type.
+//
+function privateKeyFromJwk(jwk, type, keyType) {
+    checkJwk(jwk, type);
+    try {
+        var keyObject = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+    } catch(err) {
+        throw new KeyFormatError('Invalid JWK');
+    }
+    if (keyObject.asymmetricKeyType !== keyType)
+        throw new KeyFormatError('Invalid key: wrong type of key');
+    return keyObject;
+}
+
+/**
+ * Converts a JWK (as returned by key.toJwk() or exported by Web Crypto
+ * from an AES-GCM key) to a symmetric key.
+ */
+cryptoe.symmetricKeyFromJwk = function (jwk) {
+    var keyBytes = keyBytesFromJwk(jwk, 'symmetric');
+    if (keyBytes.length !== 32) throw new KeyFormatError('Invalid JWK: wrong key length');
+    return newSymmetricKey(keyBytes);
+}
+
+/**
+ * Converts a JWK (of an HMAC key) to a MAC key.
+ */
+cryptoe.macKeyFromJwk = function (jwk) {
+    return newMacKey(keyBytesFromJwk(jwk, 'mac'));
+}
+
+/**
+ * Converts a JWK (of a public RSA-OAEP key) to an encryption key.
+ */
+cryptoe.encryptionKeyFromJwk = function (jwk) {
+    return newEncryptionKey(publicKeyFromJwk(jwk, 'encryption', 'rsa'));
+}
+
+/**
+ * Converts a JWK (of a private RSA-OAEP key) to a decryption key.
+ */
+cryptoe.decryptionKeyFromJwk = function (jwk) {
+    return newDecryptionKey(privateKeyFromJwk(jwk, 'decryption', 'rsa'));
+}
+
+/**
+ * Converts a JWK (of a private ECDSA P-256 key) to a signing key.
+ */
+cryptoe.signingKeyFromJwk = function (jwk) {
+    var keyObject = privateKeyFromJwk(jwk, 'signing', 'ec');
+    assertCurve(keyObject, ecdsaCurve);
+    return newSigningKey(keyObject);
+}
+
+/**
+ * Converts a JWK (of a public ECDSA P-256 key) to a verification key.
+ */
+cryptoe.verificationKeyFromJwk = function (jwk) {
+    var keyObject = publicKeyFromJwk(jwk, 'verification', 'ec');
+    assertCurve(keyObject, ecdsaCurve);
+    return newVerificationKey(keyObject);
+}
+
+/**
+ * Converts a JWK (of a public ECDH key) to a public key-agreement key.
+ */
+cryptoe.keyAgreementPublicKeyFromJwk = function (jwk) {
+    var keyObject = publicKeyFromJwk(jwk, 'keyAgreementPublic', 'ec');
+    assertKeyAgreementCurve(keyObject);
+    return newKeyAgreementPublicKey(keyObject);
+}
+
+/**
+ * Converts a JWK (of a private ECDH key) to a private key-agreement key.
+ */
+cryptoe.keyAgreementPrivateKeyFromJwk = function (jwk) {
+    var keyObject = privateKeyFromJwk(jwk, 'keyAgreementPrivate', 'ec');
+    assertKeyAgreementCurve(keyObject);
+    return newKeyAgreementPrivateKey(keyObject);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// TOKENS
+
+// Tokens carry a claims object (a JSON object) in the compact
+// serialization of JOSE:
+//
+//   symmetric keys:  JWE (RFC 7516) with {"alg":"dir","enc":"A256GCM"},
+//                    that is header.(empty).iv.ciphertext.tag,
+//   MAC keys:        JWS (RFC 7515) with {"alg":"HS256"},
+//                    that is header.payload.signature,
+//
+// where all the parts are base64url-encoded. The algorithm of a token
+// is determined by the type of the key, never by the header of the
+// token: a token whose header does not announce exactly the algorithm
+// of the key (e.g. "alg":"none") is rejected. The registered claims
+// exp and nbf (NumericDates, in seconds) are enforced when tokens are
+// verified.
+var jweHeader = { alg: 'dir', enc: 'A256GCM' };
+var jwsHeader = { alg: 'HS256', typ: 'JWT' };
+
+// Returns the base64url encoding of a JSON value.
+//
+function base64urlJson(value) {
+    return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+// Decodes a (strictly) base64url-encoded part of a token to a buffer.
+//
+function tokenPart(part) {
+    try {
+        return cryptoe.messageFromBase64Url(part).toBytes();
+    } catch(err) {
+        throw new InvalidTokenError('Invalid Token');
+    }
+}
+
+// Decodes a JSON object (a part of a token, as a buffer).
+//
+function tokenJson(bytes) {
+    try {
+        var value = JSON.parse(utf8Decoder.decode(bytes));
+    } catch(err) {
+        throw new InvalidTokenError('Invalid Token');
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value))
+        throw new InvalidTokenError('Invalid Token');
+    return value;
+}
+
+// Returns the type of the key of a token ('symmetric' or 'mac').
+//
+function tokenKeyType(key) {
+    var type = keyType(key);
+    if (type !== 'symmetric' && type !== 'mac')
+        throw new CryptoeTypeError('Token: unsupported type of key');
+    return type;
+}
+
+// Checks the time claims (exp and nbf) of a token against the
+// options of verifyToken.
+//
+function checkTokenTimes(claims, options) {
+    var now = (options.now === undefined) ? Date.now() : options.now;
+    var tolerance = (options.clockTolerance === undefined) ? 0 : options.clockTolerance;
+    if (now instanceof Date) now = now.getTime();
+    assertNumber(now);
+    assertNumber(tolerance);
+    now = now / 1000;
+    ['exp', 'nbf'].forEach(function (name) {
+        if (claims[name] !== undefined && (typeof claims[name] !== 'number' || !isFinite(claims[name])))
+            throw new InvalidTokenError('Invalid Token: ' + name + ' must be a number');
+    });
+    if (claims.exp !== undefined && now >= claims.exp + tolerance)
+        throw new TokenExpiredError('Token expired');
+    if (claims.nbf !== undefined && now < claims.nbf - tolerance)
+        throw new TokenNotYetValidError('Token not yet valid');
+}
+
+/**
+ * Creates a token carrying the claims (a JSON object) protected by the
+ * key: a JWE (dir, A256GCM) token for a symmetric key, which encrypts
+ * and authenticates the claims, or a JWS (HS256) token for a MAC key,
+ * which only authenticates them (see TOKENS). Returns a string.
+ */
+cryptoe.createToken = function (claims, key) {
+    if (typeof claims !== 'object' || claims === null || Array.isArray(claims))
+        throw new CryptoeTypeError('Type Error: expected claims object');
+    try {
+        var payload = cryptoe.messageFromString(JSON.stringify(claims));
+    } catch(err) {
+        throw new CryptoeTypeError('Type Error: claims must be serializable to JSON');
+    }
+    if (tokenKeyType(key) === 'symmetric') {
+        var header = base64urlJson(jweHeader);
+        var keyBytes = key.asMessage().toBytes();
+        var encrypted = aesGcmEncrypt(keyBytes, payload, cryptoe.messageFromString(header));
+        keyBytes.fill(0);
+        var iv = encrypted.takeMessage(12);
+        var ciphertext = encrypted.takeMessage(encrypted.len() - 16);
+        return [header, '', iv.toBytes().toString('base64url'),
+                ciphertext.toBytes().toString('base64url'),
+                encrypted.toBytes().toString('base64url')].join('.');
+    } else {
+        var signingInput = base64urlJson(jwsHeader) + '.' + payload.toBytes().toString('base64url');
+        var tag = key.tag(cryptoe.messageFromString(signingInput));
+        return signingInput + '.' + tag.toBytes().toString('base64url');
+    }
+}
+
+/**
+ * Verifies a token (a string) created by createToken (or another JOSE
+ * implementation) with the key and returns its claims. The header of
+ * the token must announce the algorithm of the key. The optional
+ * object options can specify:
  *
- * A symmetric key has, most importantly, mehtods 
- * encrypt(m) and decrypt(m).
+ *   now:             the current time (a Date or milliseconds since the
+ *                    epoch; Date.now() by default),
+ *   clockTolerance:  the tolerance (in seconds) when checking exp and
+ *                    nbf (0 by default).
+ *
+ * It throws CryptoeError('Invalid Token') if the token is malformed or
+ * not authentic, CryptoeError('Token: unexpected algorithm') if the
+ * header does not match the key, and CryptoeError('Token expired') or
+ * CryptoeError('Token not yet valid') if the claims exp or nbf are not
+ * satisfied.
  */
-cryptoe.generateSymmetricKey = function () {
-    var key = cryptoe.random(32);
-    return newSymmetricKey(key.toBytes());
+cryptoe.verifyToken = function (token, key, options) {
+    assertString(token);
+    if (options === undefined || options === null) options = {};
+    var type = tokenKeyType(key);
+    var parts = token.split('.');
+    if (parts.length !== (type === 'symmetric' ? 5 : 3)) throw new InvalidTokenError('Invalid Token');
+    var header = tokenJson(tokenPart(parts[0]));
+    if (header.crit !== undefined) throw new InvalidTokenError('Token: unsupported critical header');
+
+    var payload;
+    if (type === 'symmetric') {
+        if (header.alg !== jweHeader.alg || header.enc !== jweHeader.enc)
+            throw new InvalidTokenError('Token: unexpected algorithm');
+        var iv = tokenPart(parts[2]), tag = tokenPart(parts[4]);
+        if (parts[1] !== '' || iv.length !== 12 || tag.length !== 16)
+            throw new InvalidTokenError('Invalid Token');
+        var encrypted = newMessage(Buffer.concat([iv, tokenPart(parts[3]), tag]));
+        var keyBytes = key.asMessage().toBytes();
+        try {
+            payload = aesGcmDecrypt(keyBytes, encrypted, cryptoe.messageFromString(parts[0]));
+        } catch(err) {
+            throw new InvalidTokenError('Invalid Token');
+        } finally {
+            keyBytes.fill(0);
+        }
+    } else {
+        if (header.alg !== jwsHeader.alg)
+            throw new InvalidTokenError('Token: unexpected algorithm');
+        var signature = newMessage(tokenPart(parts[2]));
+        try {
+            key.verify(cryptoe.messageFromString(parts[0] + '.' + parts[1]), signature);
+        } catch(err) {
+            throw new InvalidTokenError('Invalid Token');
+        }
+        payload = newMessage(tokenPart(parts[1]));
+    }
+
+    var claims = tokenJson(payload.toBytes());
+    checkTokenTimes(claims, options);
+    return claims;
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// ASYNCHRONOUS API
+
+// The functions in cryptoe.async (and the methods of keys with the
+// suffix Async) are the asynchronous versions of the corresponding
+// functions (methods). They return promises, which are rejected with
+// a CryptoeError whenever the synchronous versions throw one. The
+// cryptographic work is done off the event loop, by the asynchronous
+// functions of node's crypto module or by its implementation of the
+// Web Crypto API.
+
+cryptoe.async = {};
+
+// Calls fn and returns a promise of its result (fn may also return a
+// promise). Exceptions thrown by fn become rejections.
+//
+function asPromise(fn) {
+    return new Promise(function (resolve) { resolve(fn()); });
+}
+
+// Returns a promise which is rejected with new ErrorClass(description)
+// (ErrorClass is a subclass of CryptoeError), if the given promise is
+// rejected with an error which is not a CryptoeError.
+//
+function orFail(promise, ErrorClass, description) {
+    return promise.catch(function (err) {
+        if (err instanceof CryptoeError) throw err;
+        throw new ErrorClass(description);
+    });
+}
+
+// Returns node's implementation of the Web Crypto API. It is looked up
+// only when needed, so that the rest of cryptoe also works on versions
+// of node without it.
+//
+function subtleCrypto() {
+    if (!crypto.webcrypto) throw new UnsupportedError('The Web Crypto API is not available');
+    return crypto.webcrypto.subtle;
+}
+
+// Converts the result of a Web Crypto operation to a message.
+//
+function messageFromArrayBuffer(arrayBuffer) {
+    return newMessage(Buffer.from(arrayBuffer));
+}
+
+// Imports a (non-extractable) key to Web Crypto.
+//
+function importSubtleKey(format, keyData, algorithm, usages) {
+    return subtleCrypto().importKey(format, keyData, algorithm, false, usages);
+}
+
+// The asynchronous version of aesGcmEncrypt.
+//
+function aesGcmEncryptAsync(keyBytes, message, associatedData) {
+    return Promise.all([
+        cryptoe.async.random(12),
+        importSubtleKey('raw', keyBytes, 'AES-GCM', ['encrypt'])
+    ]).then(function (results) {
+        var iv = results[0];
+        var params = { name: 'AES-GCM', iv: iv.toBytes(), additionalData: associatedData.toBytes() };
+        return subtleCrypto().encrypt(params, results[1], message.toBytes()).then(function (encrypted) {
+            // iv + raw encryption + authentication tag
+            var result = cryptoe.emptyMessage();
+            result.appendMessage(iv);
+            result.appendBuffer(Buffer.from(encrypted));
+            return result;
+        });
+    });
+}
+
+// The asynchronous version of aesGcmDecrypt.
+//
+function aesGcmDecryptAsync(keyBytes, message, associatedData) {
+    return asPromise(function () {
+        if (message.len() < 12+16) throw new InvalidCiphertextError('Invalid Ciphertext');
+        var iv = message.takeMessage(12);
+        var params = { name: 'AES-GCM', iv: iv.toBytes(), additionalData: associatedData.toBytes() };
+        var decrypted = importSubtleKey('raw', keyBytes, 'AES-GCM', ['decrypt']).then(function (cryptoKey) {
+            return subtleCrypto().decrypt(params, cryptoKey, message.toBytes());
+        });
+        return orFail(decrypted, InvalidCiphertextError, 'Invalid Ciphertext').then(messageFromArrayBuffer);
+    });
+}
+
+// The asynchronous version of derivePasswordKeyBytes.
+//
+function derivePasswordKeyBytesAsync(password, salt, options) {
+    var derived;
+    if (options.algorithm === 'PBKDF2') {
+        derived = promisify(crypto.pbkdf2)(password, salt, options.iterations, 32, 'sha256');
+    } else {
+        derived = promisify(crypto.scrypt)(password, salt, 32, scryptOptions(options));
+    }
+    return orFail(derived, CryptoeTypeError, 'Invalid parameters of ' + options.algorithm);
 }
 
 /**
- * Convert a message to a symmetric key.
+ * Returns a promise of a random message of the given length.
  */
-cryptoe.symmetricKeyFromMessage = function (message) {
-    return newSymmetricKey(message.toBytes());
+cryptoe.async.random = function (length) {
+    return asPromise(function () {
+        if (length===undefined) throw new CryptoeTypeError('random: no length given');
+        return orFail(promisify(crypto.randomBytes)(length), CryptoeTypeError, 'random: invalid length').then(function (bytes) {
+            return newMessage(bytes);
+        });
+    });
+}
+
+/**
+ * A shortcut for cryptoe.async.random.
+ */
+cryptoe.randomAsync = cryptoe.async.random;
+
+/**
+ * Returns a promise of a new symmetric key.
+ */
+cryptoe.async.generateSymmetricKey = function () {
+    return cryptoe.async.random(32).then(function (key) {
+        return newSymmetricKey(key.toBytes());
+    });
+}
+
+/**
+ * Returns a promise of a new MAC key.
+ */
+cryptoe.async.generateMacKey = function () {
+    return cryptoe.async.random(macKeyLength).then(function (key) {
+        return newMacKey(key.toBytes());
+    });
+}
+
+/**
+ * Returns a promise of a new key pair for public-key encryption.
+ */
+cryptoe.async.generateEncryptionKeyPair = function () {
+    var options = { modulusLength: rsaModulusLength, publicExponent: rsaPublicExponent };
+    return promisify(crypto.generateKeyPair)('rsa', options).then(function (pair) {
+        return { publicKey:  newEncryptionKey(pair.publicKey),
+                 privateKey: newDecryptionKey(pair.privateKey) };
+    });
+}
+
+/**
+ * Returns a promise of a new key pair for digital signatures.
+ */
+cryptoe.async.generateSigningKeyPair = function () {
+    return promisify(crypto.generateKeyPair)('ec', { namedCurve: ecdsaCurve }).then(function (pair) {
+        return { publicKey:  newVerificationKey(pair.publicKey),
+                 privateKey: newSigningKey(pair.privateKey) };
+    });
+}
+
+/**
+ * Returns a promise of a new key pair for key agreement.
+ */
+cryptoe.async.generateKeyAgreementKeyPair = function (curve) {
+    return asPromise(function () {
+        if (curve === undefined) curve = 'P-256';
+        if (!ecdhCurves.hasOwnProperty(curve))
+            throw new UnsupportedError('generateKeyAgreementKeyPair: unsupported curve');
+        return promisify(crypto.generateKeyPair)('ec', { namedCurve: ecdhCurves[curve] });
+    }).then(function (pair) {
+        return { publicKey:  newKeyAgreementPublicKey(pair.publicKey),
+                 privateKey: newKeyAgreementPrivateKey(pair.privateKey) };
+    });
+}
+
+/**
+ * Returns a promise of a symmetric key derived from a password (see
+ * cryptoe.symmetricKeyFromPassword).
+ */
+cryptoe.async.symmetricKeyFromPassword = function (password, salt, options) {
+    return asPromise(function () {
+        assertMessage(salt);
+        options = passwordKdfOptions(options);
+        return derivePasswordKeyBytesAsync(passwordBytes(password), salt.toBytes(), options);
+    }).then(newSymmetricKey);
 }
 
+/**
+ * Returns a promise of an object {key, parameters} (see
+ * cryptoe.generatePasswordKey).
+ */
+cryptoe.async.generatePasswordKey = function (password, options) {
+    return asPromise(function () {
+        options = passwordKdfOptions(options);
+        return cryptoe.async.random(passwordSaltLength);
+    }).then(function (salt) {
+        return cryptoe.async.symmetricKeyFromPassword(password, salt, options).then(function (key) {
+            return { key: key, parameters: passwordParameters(salt, options) };
+        });
+    });
+}
 
+/**
+ * Returns a promise of a symmetric key re-derived from a password and
+ * parameters (see cryptoe.symmetricKeyFromPasswordParameters).
+ */
+cryptoe.async.symmetricKeyFromPasswordParameters = function (password, parameters) {
+    return asPromise(function () {
+        var parsed = parsePasswordParameters(parameters);
+        return cryptoe.async.symmetricKeyFromPassword(password, parsed.salt, parsed.options);
+    });
+}
 
+/**
+ * Returns a promise of the hash of the message (see cryptoe.hash).
+ */
+cryptoe.async.hash = function (message, algorithm) {
+    return asPromise(function () {
+        assertMessage(message);
+        hashAlgorithm(algorithm); // check the algorithm
+        return subtleCrypto().digest(algorithm || 'SHA-256', message.toBytes());
+    }).then(messageFromArrayBuffer);
+}
@@ -0,0 +1,77 @@
+// Benchmarks of building and parsing large messages.
+//
+// Run with: npm run bench
+
+var cryptoe = require('../../cryptoe');
+
+var SIZE = 8 * 1024 * 1024; // the size of the built/parsed messages (in bytes)
+
+// Runs fn (which processes SIZE bytes) a few times and prints the
+// best throughput.
+function bench(name, fn) {
+    fn(); // warm up
+    var best = Infinity;
+    for (var i=0; i<3; ++i) {
+        var start = process.hrtime.bigint();
+        fn();
+        var time = Number(process.hrtime.bigint() - start) / 1e9;
+        best = Math.min(best, time);
+    }
+    var throughput = SIZE / (1024 * 1024) / best;
+    console.log(name + ': ' + throughput.toFixed(1) + ' MB/s');
+}
+
+var chunk = cryptoe.random(1024);
+var built = cryptoe.emptyMessage();
+for (var i=0; i<SIZE/4; ++i) {
+    built.appendUint32(i);
+}
+
+bench('appendMessage (1 KB chunks)', function() {
+    var m = cryptoe.emptyMessage();
+    for (var i=0; i<SIZE/1024; ++i) {
+        m.appendMessage(chunk);
+    }
+});
+
+bench('appendBytes (1 KB chunks)', function() {
+    var m = cryptoe.emptyMessage();
+    var bytes = chunk.toBytes();
+    for (var i=0; i<SIZE/1024; ++i) {
+        m.appendBytes(bytes);
+    }
+});
+
+bench('appendUint32', function() {
+    var m = cryptoe.emptyMessage();
+    for (var i=0; i<SIZE/4; ++i) {
+        m.appendUint32(i);
+    }
+});
+
+bench('appendLengthPrefixed (1 KB chunks)', function() {
+    var m = cryptoe.emptyMessage();
+    for (var i=0; i<SIZE/1024; ++i) {
+        m.appendLengthPrefixed(chunk);
+    }
+});
+
+bench('takeUint32', function() {
+    var m = built.clone();
+    while (m.len() > 0) {
+        m.takeUint32();
+    }
+});
+
+bench('takeMessage (1 KB chunks)', function() {
+    var m = built.clone();
+    while (m.len() > 0) {
+        m.takeMessage(1024);
+    }
+});
+
+bench('slice and toBytes (1 KB chunks)', function() {
+    for (var i=0; i<SIZE; i+=1024) {
+        built.slice(i, i+1024).toBytes();
+    }
+});
@@ -24,6 +24,79 @@ describe('Message', function(){
 
   });
 
+  describe('slices', function(){
+    it('have the right length', function(){
+       var m = cryptoe.messageFromHexString('00112233445566778899aabb');
+       assert.equal(m.slice(0,5).len(), 5);
+       assert.equal(m.slice(5).len(), 7);
+       assert.equal(m.slice(2,7).len(), 5);
+       assert.equal(m.slice(2,-3).len(), 7);
+       assert.equal(m.slice(-4).toHexString(), '8899aabb');
+       assert.equal(m.slice(7,3).len(), 0);
+       assert.equal(m.slice(5,100).toHexString(), '5566778899aabb');
+       assert.equal(m.slice(2,7).toBytes().toString('hex'), '2233445566');
+       assert.equal(m.slice(2,7).byteAt(0), 0x22);
+       assert.throws(function(){
+           m.slice(2,7).byteAt(5);
+       }, cryptoe.Error);
+    });
+
+    it('can be sliced again', function(){
+       var m = cryptoe.messageFromHexString('00112233445566778899aabb');
+       var s = m.slice(2,10).slice(1,-1);
+       assert.equal(s.toHexString(), '334455667788');
+       assert.equal(s.takeUint16(), 0x3344);
+       assert.equal(s.toHexString(), '55667788');
+    });
+
+    it('are copied on write', function(){
+       var m = cryptoe.emptyMessage();
+       m.appendUint32(0x11223344);
+       m.appendUint32(0x55667788);
+       var s = m.slice(2,6);
+       s.appendByte(0xff);
+       m.appendByte(0xee);
+       assert.equal(s.toHexString(), '33445566ff');
+       assert.equal(m.toHexString(), '1122334455667788ee');
+       assert.equal(s.reallocationCounter, 1);
+       var t = m.takeMessage(4);
+       t.appendByte(0xdd);
+       assert.equal(m.toHexString(), '55667788ee');
+       assert.equal(t.toHexString(), '11223344dd');
+    });
+  });
+
+  describe('append', function(){
+    it('copies data in bulk', function(){
+        var m = cryptoe.emptyMessage();
+        var a = cryptoe.random(1000);
+        m.appendMessage(a);
+        m.appendBuffer(Buffer.from('0102', 'hex'));
+        m.appendBytes(new Uint8Array([3, 4]));
+        m.appendBytes([5, 6]);
+        assert.equal(m.toHexString(), a.toHexString() + '010203040506');
+        m.appendMessage(m);
+        assert.equal(m.toHexString(), (a.toHexString() + '010203040506') + (a.toHexString() + '010203040506'));
+        assert.throws(function(){
+           m.appendBytes([1, 256]);
+        }, cryptoe.Error);
+        assert.throws(function(){
+           m.appendBuffer([1]);
+        }, cryptoe.Error);
+    });
+
+    it('reallocates rarely', function(){
+        var m = cryptoe.emptyMessage();
+        for (var i=0; i<100000; ++i) {
+            m.appendUint32(i);
+        }
+        assert(m.reallocationCounter < 20);
+        for (i=0; i<100000; ++i) {
+            assert.equal(m.takeUint32(), i);
+        }
+    });
+  });
+
   describe('messageFromBytes', function(){
     it('works as expected', function(){
         var m = cryptoe.messageFromBytes([10,11,12]);
@@ -79,6 +152,73 @@ describe('Message', function(){
   });
 
 
+  describe('strict decoding of base64', function(){
+    it('rejects invalid strings', function(){
+        assert.equal(cryptoe.messageFromBase64('Zm9vYg==').toString(), 'foob');
+        assert.equal(cryptoe.messageFromBase64('+/+/').toHexString(), 'fbffbf');
+        ['Zm9vYg', 'Zm9vYg=', 'Zm9vYg===', 'Zm9v YmFy', 'Zm9v\n', 'Zm9vYh==', 'Zg=a', '-_-_', 'Zm9v!', '='].forEach(function(str) {
+            assert.throws(function(){ cryptoe.messageFromBase64(str); }, cryptoe.Error, str);
+        });
+    });
+  });
+
+  describe('base64url, base32 and base58', function(){
+    it('encode and decode messages', function(){
+        [[], [0], [0, 0, 255], [12, 34, 89, 23, 22, 254], [251, 255, 191, 62], [1, 2, 3, 4, 5, 6, 7, 8, 9]].forEach(function(bytes) {
+            var m = bytes.length ? cryptoe.messageFromBytes(bytes) : cryptoe.emptyMessage();
+            assert.ok(cryptoe.messageFromBase64Url(m.toBase64Url()).equals(m));
+            assert.ok(cryptoe.messageFromBase32(m.toBase32()).equals(m));
+            assert.ok(cryptoe.messageFromBase58(m.toBase58()).equals(m));
+        });
+        var random = cryptoe.random(100);
+        assert.ok(cryptoe.messageFromBase58(random.toBase58()).equals(random));
+        assert.equal(cryptoe.messageFromHexString('fbffbf3e').toBase64Url(), '-_-_Pg');
+        assert.equal(cryptoe.messageFromHexString('fbffbf3e').slice(1, 3).toBase64Url(), '_78');
+    });
+
+    it('are compatible with RFC 4648 and Bitcoin', function(){
+        var base32 = { '': '', 'f': 'MY======', 'fo': 'MZXQ====', 'foo': 'MZXW6===', 'foob': 'MZXW6YQ=',
+                       'fooba': 'MZXW6YTB', 'foobar': 'MZXW6YTBOI======' };
+        Object.keys(base32).forEach(function(str) {
+            assert.equal(cryptoe.messageFromString(str).toBase32(), base32[str]);
+            assert.equal(cryptoe.messageFromBase32(base32[str]).toString(), str);
+        });
+        var base58 = { '61': '2g', '626262': 'a3gV', '73696d706c792061206c6f6e6720737472696e67': '2cFupjhnEsSn59qHXstmK2ffpLv2',
+                       '00eb15231dfceb60925886b67d065299925915aeb172c06647': '1NS17iag9jJgTHD1VXjvLCEnZuQ3rJDE9L',
+                       'bf4f89001e670274dd': '3SEo3LWLoPntC', '00000000000000000000': '1111111111' };
+        Object.keys(base58).forEach(function(hex) {
+            assert.equal(cryptoe.messageFromHexString(hex).toBase58(), base58[hex]);
+            assert.equal(cryptoe.messageFromBase58(base58[hex]).toHexString(), hex);
+        });
+    });
+
+    it('reject invalid strings', function(){
+        ['Zm9v=', 'Zm9vYg==', 'Zm9v+g', 'Zm9v/g', 'Zm9v Yg', 'Zm9vYh', 'Z'].forEach(function(str) {
+            assert.throws(function(){ cryptoe.messageFromBase64Url(str); }, cryptoe.Error, str);
+        });
+        ['MZXW6', 'MZXW6YQ', 'mzxw6===', 'MZXW6====', 'MZXW0===', 'MZXW1===', 'MZ=W6===', 'MZXW7===', 'MZXW6YR=', 'M======='].forEach(function(str) {
+            assert.throws(function(){ cryptoe.messageFromBase32(str); }, cryptoe.Error, str);
+        });
+        ['0', 'O', 'I', 'l', '2g ', '+'].forEach(function(str) {
+            assert.throws(function(){ cryptoe.messageFromBase58(str); }, cryptoe.Error, str);
+        });
+        assert.throws(function(){ cryptoe.messageFromBase32(5); }, cryptoe.Error);
+    });
+
+    it('limit base58 to short data', function(){
+        var longest = cryptoe.messageFromBytes(Buffer.alloc(1024, 0xff));
+        assert.equal(longest.toBase58().length, 1399);
+        assert.ok(cryptoe.messageFromBase58(longest.toBase58()).equals(longest));
+        assert.throws(function(){ cryptoe.random(1025).toBase58(); }, cryptoe.UnsupportedError);
+        // rejected by the length, before decoding
+        var tooLong = function(err) {
+            return err instanceof cryptoe.UnsupportedError && err.message === 'messageFromBase58: string too long';
+        };
+        assert.throws(function(){ cryptoe.messageFromBase58('z'.repeat(1400)); }, tooLong);
+        assert.throws(function(){ cryptoe.messageFromBase58('0'.repeat(100000)); }, tooLong);
+    });
+  });
+
   describe('messageFromHexString', function(){
     it('produces a message of the appropriate length and decodes to the same string', function(){
         var s0 = '10afbcfa89';
@@ -117,6 +257,20 @@ describe('Message', function(){
         assert.throws(function(){
            m.skip("kj");
         }, cryptoe.Error);
+        [-1, 1.5, NaN, Infinity].forEach(function(n) {
+            assert.throws(function(){ m.skip(n); }, cryptoe.TypeError);
+            assert.throws(function(){ m.takeMessage(n); }, cryptoe.TypeError);
+        });
+        assert.throws(function(){ m.slice(1.5); }, cryptoe.TypeError);
+        assert.throws(function(){ m.slice(0, 2.5); }, cryptoe.TypeError);
+        assert.throws(function(){ m.slice(NaN); }, cryptoe.TypeError);
+        assert.equal(m.len(), 12);
+
+        var body = cryptoe.messageFromString('SECRBODY').slice(4);
+        assert.throws(function(){ body.skip(-4); }, cryptoe.TypeError);
+        assert.throws(function(){ body.skip(-1000); }, cryptoe.TypeError);
+        assert.throws(function(){ body.takeMessage(-1); }, cryptoe.TypeError);
+        assert.equal(body.toString(), 'BODY');
 
         assert.throws(function(){
            m.appendMessage({});
@@ -273,6 +427,294 @@ describe('Message', function(){
     });   
   });
 
+  describe('64-bit integers, floats and little-endian values', function(){
+    it('are encoded as expected', function(){
+        var m = cryptoe.emptyMessage();
+        m.appendUint64(0x0102030405);
+        m.appendInt64(BigInt(-2));
+        m.appendUint64LE(BigInt('0x0102030405060708'));
+        m.appendInt16LE(0x1234);
+        m.appendUint16LE(0xfedc);
+        m.appendInt32LE(-2);
+        m.appendUint32LE(0x12345678);
+        assert.equal(m.toHexString(), '0000000102030405' + 'fffffffffffffffe' + '0807060504030201' +
+                                      '3412' + 'dcfe' + 'feffffff' + '78563412');
+        m = cryptoe.emptyMessage();
+        m.appendFloat64(1.5);
+        m.appendFloat32(-2);
+        m.appendFloat64LE(1.5);
+        m.appendFloat32LE(-2);
+        assert.equal(m.toHexString(), '3ff8000000000000' + 'c0000000' + '000000000000f83f' + '000000c0');
+    });
+
+    it('can be taken back', function(){
+        var m = cryptoe.emptyMessage();
+        m.appendUint64(BigInt('18446744073709551615'));
+        m.appendInt64(BigInt('-9223372036854775808'));
+        m.appendInt64(Number.MAX_SAFE_INTEGER);
+        m.appendUint64LE(7);
+        m.appendInt64LE(-7);
+        m.appendInt16LE(-0x8000);
+        m.appendUint16LE(0xffff);
+        m.appendInt32LE(0x7fffffff);
+        m.appendUint32LE(0xffffffff);
+        m.appendFloat64(Math.PI);
+        m.appendFloat32(0.5);
+        m.appendFloat64LE(-Math.E);
+        m.appendFloat32LE(0.25);
+        assert.equal(m.takeUint64(), BigInt('18446744073709551615'));
+        assert.equal(m.takeInt64(), BigInt('-9223372036854775808'));
+        assert.equal(m.takeInt64(), BigInt(Number.MAX_SAFE_INTEGER));
+        assert.equal(m.takeUint64LE(), BigInt(7));
+        assert.equal(m.takeInt64LE(), BigInt(-7));
+        assert.equal(m.takeInt16LE(), -0x8000);
+        assert.equal(m.takeUint16LE(), 0xffff);
+        assert.equal(m.takeInt32LE(), 0x7fffffff);
+        assert.equal(m.takeUint32LE(), 0xffffffff);
+        assert.equal(m.takeFloat64(), Math.PI);
+        assert.equal(m.takeFloat32(), 0.5);
+        assert.equal(m.takeFloat64LE(), -Math.E);
+        assert.equal(m.takeFloat32LE(), 0.25);
+        assert.equal(m.len(), 0);
+    });
+
+    it('check the ranges of values', function(){
+        var m = cryptoe.emptyMessage();
+        var cases = [
+            ['appendInt16', 0x8000], ['appendInt16', -0x8001], ['appendInt16', 1.5],
+            ['appendUint16', -1], ['appendUint16', 0x10000],
+            ['appendInt32', 0x80000000], ['appendUint32', -1], ['appendUint32', 0x100000000],
+            ['appendInt16LE', 0x8000], ['appendUint16LE', -1], ['appendInt32LE', -0x80000001], ['appendUint32LE', 0x100000000],
+            ['appendUint64', -1], ['appendUint64', BigInt('18446744073709551616')], ['appendUint64', Math.pow(2, 60)],
+            ['appendInt64', BigInt('9223372036854775808')], ['appendInt64LE', '1'], ['appendUint64LE', BigInt(-1)],
+            ['appendFloat64', '1.5'], ['appendFloat32LE', BigInt(1)]
+        ];
+        cases.forEach(function(c) {
+            assert.throws(function(){
+                m[c[0]](c[1]);
+            }, cryptoe.Error, c[0] + '(' + c[1] + ')');
+        });
+        assert.equal(m.len(), 0);
+    });
+
+    it('take methods throw an exception if there is not enough data', function(){
+        ['takeInt64', 'takeUint64', 'takeFloat32', 'takeFloat64', 'takeInt16LE', 'takeUint16LE',
+         'takeInt32LE', 'takeUint32LE', 'takeInt64LE', 'takeUint64LE', 'takeFloat32LE', 'takeFloat64LE'].forEach(function(name) {
+            var m = cryptoe.messageFromHexString('01');
+            assert.throws(function(){
+                m[name]();
+            }, cryptoe.Error);
+            assert.equal(m.len(), 1);
+        });
+    });
+  });
+
+  describe('varints, length-prefixed messages and strings', function(){
+    it('are encoded as expected', function(){
+        var m = cryptoe.emptyMessage();
+        m.appendVarint(0);
+        m.appendVarint(127);
+        m.appendVarint(128);
+        m.appendVarint(300);
+        m.appendVarint(Number.MAX_SAFE_INTEGER);
+        assert.equal(m.toHexString(), '007f8001ac02ffffffffffffff0f');
+        m = cryptoe.emptyMessage();
+        m.appendLengthPrefixed(cryptoe.messageFromHexString('1278fa'));
+        m.appendString('łąka!');
+        assert.equal(m.toHexString(), '031278fa07c582c4856b6121');
+    });
+
+    it('can be taken back', function(){
+        var m = cryptoe.emptyMessage();
+        var values = [0, 1, 127, 128, 255, 16383, 16384, 0xffffffff, Number.MAX_SAFE_INTEGER];
+        values.forEach(function(v) { m.appendVarint(v); });
+        m.appendLengthPrefixed(cryptoe.emptyMessage());
+        m.appendLengthPrefixed(cryptoe.messageFromHexString('1278fa'));
+        m.appendString('');
+        m.appendString('わかよたれそつねならむ');
+        values.forEach(function(v) { assert.equal(m.takeVarint(), v); });
+        assert.equal(m.takeLengthPrefixed().len(), 0);
+        assert.equal(m.takeLengthPrefixed().toHexString(), '1278fa');
+        assert.equal(m.takeString(), '');
+        assert.equal(m.takeString(), 'わかよたれそつねならむ');
+        assert.equal(m.len(), 0);
+    });
+
+    it('keep a leading byte order mark of strings', function(){
+        var m = cryptoe.emptyMessage();
+        m.appendString('\uFEFFabc');
+        m.appendString('\uFEFF');
+        assert.equal(m.toHexString(), '06efbbbf61626303efbbbf');
+        assert.equal(m.takeString(), '\uFEFFabc');
+        assert.equal(m.takeString(), '\uFEFF');
+        assert.equal(m.len(), 0);
+    });
+
+    it('reject invalid values and data', function(){
+        var m = cryptoe.emptyMessage();
+        [-1, 1.5, Number.MAX_SAFE_INTEGER + 1, '1'].forEach(function(v) {
+            assert.throws(function(){
+                m.appendVarint(v);
+            }, cryptoe.Error);
+        });
+        assert.throws(function(){
+            m.appendString(5);
+        }, cryptoe.Error);
+        assert.throws(function(){
+            m.appendLengthPrefixed('abc');
+        }, cryptoe.Error);
+        assert.throws(function(){
+            cryptoe.emptyMessage().takeVarint();
+        }, cryptoe.Error);
+        // truncated, overlong and too large varints
+        ['80', 'ff8080', '8000', 'ffffffffffffffff7f', '8080808080808080808001'].forEach(function(hex) {
+            assert.throws(function(){
+                cryptoe.messageFromHexString(hex).takeVarint();
+            }, cryptoe.Error);
+        });
+        assert.throws(function(){
+            cryptoe.messageFromHexString('0412').takeLengthPrefixed();
+        }, cryptoe.Error);
+        // invalid utf-8
+        assert.throws(function(){
+            cryptoe.messageFromHexString('02c5c5').takeString();
+        }, cryptoe.Error);
+    });
+
+    it('do not consume data on errors', function(){
+        var m = cryptoe.messageFromHexString('0412');
+        assert.throws(function(){
+            m.takeLengthPrefixed();
+        }, cryptoe.Error);
+        assert.equal(m.toHexString(), '0412');
+        m = cryptoe.messageFromHexString('03c582c4');
+        assert.throws(function(){
+            m.takeString();
+        }, cryptoe.Error);
+        assert.equal(m.toHexString(), '03c582c4');
+    });
+  });
+
+  describe('messageFromObject and toObject', function(){
+    // Examples from RFC 8949, Appendix A
+    var examples = [
+        [0, '00'], [23, '17'], [24, '1818'], [100, '1864'], [1000, '1903e8'],
+        [1000000, '1a000f4240'], [1000000000000, '1b000000e8d4a51000'],
+        [BigInt('18446744073709551615'), '1bffffffffffffffff'],
+        [-1, '20'], [-10, '29'], [-100, '3863'], [-1000, '3903e7'],
+        [BigInt('-18446744073709551616'), '3bffffffffffffffff'],
+        [false, 'f4'], [true, 'f5'], [null, 'f6'],
+        ['', '60'], ['a', '6161'], ['IETF', '6449455446'], ['\u00fc', '62c3bc'],
+        [cryptoe.emptyMessage(), '40'], [cryptoe.messageFromHexString('01020304'), '4401020304'],
+        [[], '80'], [[1, 2, 3], '83010203'], [[1, [2, 3], [4, 5]], '8301820203820405'],
+        [{}, 'a0'], [{ a: 1, b: [2, 3] }, 'a26161016162820203'], [['a', { b: 'c' }], '826161a161626163']
+    ];
+
+    it('encode as expected', function(){
+        examples.forEach(function(example) {
+            assert.equal(cryptoe.messageFromObject(example[0]).toHexString(), example[1]);
+        });
+    });
+
+    it('are complementary', function(){
+        examples.forEach(function(example) {
+            var m = cryptoe.messageFromHexString(example[1]);
+            assert.equal(cryptoe.messageFromObject(m.toObject()).toHexString(), example[1]);
+            assert.equal(m.toHexString(), example[1]); // not consumed
+        });
+        var obj = { id: 17, name: 'łąka', key: cryptoe.random(32), tags: ['a', 'b'], nested: { ok: true, none: null } };
+        var decoded = cryptoe.messageFromObject(obj).toObject();
+        assert.equal(decoded.key.toHexString(), obj.key.toHexString());
+        decoded.key = obj.key;
+        assert.deepEqual(decoded, obj);
+    });
+
+    it('are deterministic', function(){
+        var a = cryptoe.messageFromObject({ b: 1, a: 2, aa: 3, c: { y: [], x: '' } });
+        var b = cryptoe.messageFromObject({ c: { x: '', y: [] }, aa: 3, a: 2, b: 1 });
+        assert.equal(a.toHexString(), b.toHexString());
+        // shorter keys first
+        assert.equal(cryptoe.messageFromObject({ aa: 1, b: 2 }).toHexString(), 'a261620262616101');
+    });
+
+    it('keep leading byte order marks in strings and keys', function(){
+        var obj = { '\uFEFFrole': 'admin', role: 'user', list: ['\uFEFF', '\uFEFFx'] };
+        var encoded = cryptoe.messageFromObject(obj);
+        var decoded = encoded.toObject();
+        assert.deepEqual(decoded, obj);
+        assert.equal(Object.keys(decoded).length, 3);
+        assert.equal(cryptoe.messageFromObject(decoded).toHexString(), encoded.toHexString());
+    });
+
+    it('reject unsupported values', function(){
+        [1.5, NaN, Math.pow(2, 53), undefined, [undefined], { a: undefined }, new Date(), Buffer.alloc(1),
+         function(){}, BigInt('18446744073709551616')].forEach(function(value) {
+            assert.throws(function(){
+                cryptoe.messageFromObject(value);
+            }, cryptoe.Error);
+        });
+        var deep = [];
+        for (var i=0; i<1000; ++i) { deep = [deep]; }
+        assert.throws(function(){
+            cryptoe.messageFromObject(deep);
+        }, cryptoe.Error);
+    });
+
+    it('reject invalid and non-deterministic encodings', function(){
+        ['', '18', '1817', '190017', '1a0000ffff', '1b00000000ffffffff', '3817',
+         'f97e00', 'fb3ff8000000000000', 'f7', 'c11a514b67b0', '5f42010243030405ff', '9fff',
+         '6261', '62c3', '8201', 'a1016161', 'a26162016161', 'a2616101616102', '0000'].forEach(function(hex) {
+            assert.throws(function(){
+                (hex ? cryptoe.messageFromHexString(hex) : cryptoe.emptyMessage()).toObject();
+            }, cryptoe.Error, hex);
+        });
+    });
+
+    it('handle special keys', function(){
+        var obj = cryptoe.messageFromHexString('a1695f5f70726f746f5f5fa0').toObject();
+        assert.deepEqual(Object.keys(obj), ['__proto__']);
+        assert.equal(Object.getPrototypeOf(obj), Object.prototype);
+    });
+  });
+
+  describe('equals and wipe', function(){
+    it('compare messages', function(){
+        var m = cryptoe.messageFromHexString('00112233445566778899aabb');
+        assert.ok(m.equals(cryptoe.messageFromHexString('00112233445566778899aabb')));
+        assert.ok(m.slice(2,4).equals(cryptoe.messageFromHexString('2233')));
+        assert.ok(!m.equals(cryptoe.messageFromHexString('00112233445566778899aaba')));
+        assert.ok(!m.equals(m.slice(1)));
+        assert.ok(!m.equals(cryptoe.emptyMessage()));
+        assert.ok(cryptoe.emptyMessage().equals(cryptoe.emptyMessage()));
+        assert.throws(function(){ m.equals('00112233445566778899aabb'); }, cryptoe.Error);
+    });
+
+    it('zero the data and disable the message', function(){
+        var m = cryptoe.messageFromHexString('00112233445566778899aabb');
+        var s = m.slice(4,8);
+        var other = cryptoe.messageFromHexString('ffff');
+        m.wipe();
+        assert.equal(s.toHexString(), '00000000');
+        ['len', 'toBytes', 'toHexString', 'toBase64', 'toString', 'toObject', 'clone',
+         'takeByte', 'takeUint64', 'takeVarint', 'takeString'].forEach(function(method) {
+            assert.throws(function(){ m[method](); }, cryptoe.Error, method);
+        });
+        assert.throws(function(){ m.byteAt(0); }, cryptoe.Error);
+        assert.throws(function(){ m.takeMessage(0); }, cryptoe.Error);
+        assert.throws(function(){ m.appendByte(1); }, cryptoe.Error);
+        assert.throws(function(){ m.equals(other); }, cryptoe.Error);
+        assert.throws(function(){ other.equals(m); }, cryptoe.Error);
+        assert.throws(function(){ other.appendMessage(m); }, cryptoe.Error);
+        assert.equal(other.toHexString(), 'ffff');
+    });
+
+    it('of a slice only zeroes the slice', function(){
+        var m = cryptoe.messageFromHexString('00112233445566778899aabb');
+        m.slice(4,8).wipe();
+        assert.equal(m.toHexString(), '00112233000000008899aabb');
+    });
+  });
+
   describe('different messages', function(){
     it('should not interfere', function() {
         var m0 = cryptoe.emptyMessage();
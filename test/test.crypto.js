@@ -1,7 +1,34 @@
 var assert = require('assert');
+var crypto = require('crypto');
 
 describe('Crypto', function(){
 
+    function rejected(promise) {
+        return promise.then(function() {
+            assert.fail('expected an error');
+        }, function(err) {
+            assert(err instanceof cryptoe.Error);
+        });
+    }
+
+    // Calls fn with the synchronous password-based KDFs of node replaced
+    // by stubs (returning zeros) and returns the number of their calls.
+    function kdfCalls(fn) {
+        var pbkdf2Sync = crypto.pbkdf2Sync, scryptSync = crypto.scryptSync;
+        var calls = 0;
+        crypto.pbkdf2Sync = crypto.scryptSync = function() {
+            calls++;
+            return Buffer.alloc(32);
+        };
+        try {
+            fn();
+        } finally {
+            crypto.pbkdf2Sync = pbkdf2Sync;
+            crypto.scryptSync = scryptSync;
+        }
+        return calls;
+    }
+
     describe('random', function(){
 
         it('generates a message of the requested length', function() {
@@ -49,22 +76,1536 @@ describe('Crypto', function(){
             var key, m, c, d;
             key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('68bbb32ae81b85752be3bc632293a31353f9df0a96976193474782cc13a5cdda'));
             c   = cryptoe.messageFromHexString('3d66b89160a0ad129bbab5015f416b56ada6a0b136bc44982ec003a86802e99e008801');
-            d = key.decrypt(c);
+            d = key.decrypt(c, null, { legacy: true });
             assert.equal(d.toString(), 'łąka!');
 
             key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString("f86a785d6d684d08dfc39fff6336b1b8ae18c469f356fe3dc30ec49ce3bf0dfa"));
             c   = cryptoe.messageFromHexString("183f1f1583b28f61587d49f32fa0690a079eea13a62b02fa1219f30ee3f6d14fbd29cb");
+            d = key.decrypt(c, null, { legacy: true });
+            assert.equal(d.toString(), 'łąka!');
+
+            key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('68bbb32ae81b85752be3bc632293a31353f9df0a96976193474782cc13a5cdda'));
+            c   = cryptoe.messageFromHexString('0101009cdb672a4c9b102c3856fe316c10f43421201abce83f154afaebd5a2765e6a4b66376c');
             d = key.decrypt(c);
             assert.equal(d.toString(), 'łąka!');
+
+            c   = cryptoe.messageFromHexString('0101056b65792d31cb978fbb0e41a1e6cb38076e74172b72a427b2970df374d0221b4c4501b277d96bfdf3');
+            d = key.decrypt(c, cryptoe.messageFromString('record 17'));
+            assert.equal(d.toString(), 'łąka!');
+        });
+
+        it('records key ids in the ciphertexts', function() {
+            var m = cryptoe.messageFromString('ala ma kota');
+            var key = cryptoe.generateSymmetricKey();
+            var e = key.encrypt(m, null, { keyId: cryptoe.messageFromString('key-1') });
+            assert.equal(cryptoe.ciphertextKeyId(e).toString(), 'key-1');
+            assert.equal(key.decrypt(e).toString(), m.toString());
+            assert.strictEqual(cryptoe.ciphertextKeyId(key.encrypt(m)), null);
+            assert.throws(function(){
+                key.encrypt(m, null, { keyId: cryptoe.random(256) });
+            }, cryptoe.Error);
+        });
+
+        it('authenticates the header', function() {
+            var m = cryptoe.messageFromString('ala ma kota');
+            var key = cryptoe.generateSymmetricKey();
+            var e = key.encrypt(m, null, { keyId: cryptoe.messageFromString('key-1') }).toHexString();
+            // change the key id (key-1 -> key-2)
+            var c = cryptoe.messageFromHexString(e.replace('6b65792d31', '6b65792d32'));
+            assert.equal(cryptoe.ciphertextKeyId(c).toString(), 'key-2');
+            assert.throws(function(){
+                key.decrypt(c);
+            }, cryptoe.Error);
+            // unsupported version
+            assert.throws(function(){
+                key.decrypt(cryptoe.messageFromHexString('02' + e.slice(2)));
+            }, cryptoe.Error);
+            // unsupported algorithm
+            assert.throws(function(){
+                key.decrypt(cryptoe.messageFromHexString('0102' + e.slice(4)));
+            }, cryptoe.Error);
+        });
+
+        it('accepts legacy ciphertexts only if requested', function() {
+            var c   = cryptoe.messageFromHexString('3d66b89160a0ad129bbab5015f416b56ada6a0b136bc44982ec003a86802e99e008801');
+            var key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('68bbb32ae81b85752be3bc632293a31353f9df0a96976193474782cc13a5cdda'));
+            assert.throws(function(){
+                key.decrypt(c);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                key.decrypt(key.encrypt(cryptoe.messageFromString('łąka!')), null, { legacy: true });
+            }, cryptoe.Error);
+        });
+
+        it('authenticates associated data', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var ad = cryptoe.messageFromString('record 17');
+            var key = cryptoe.generateSymmetricKey();
+            var e = key.encrypt(m, ad);
+            assert.equal(e.len(), 3 + 12 + m.len() + 16);
+            var d = key.decrypt(e.clone(), cryptoe.messageFromString('record 17'));
+            assert.equal(m.toHexString(), d.toHexString());
+            assert.throws(function(){
+                key.decrypt(e.clone(), cryptoe.messageFromString('record 18'));
+            }, cryptoe.Error);
+            assert.throws(function(){
+                key.decrypt(e.clone());
+            }, cryptoe.Error);
+            assert.throws(function(){
+                key.decrypt(key.encrypt(m), ad);
+            }, cryptoe.Error);
         });
 
         it('rejects invalid ciphertexts', function() {
             var c   = cryptoe.messageFromHexString('3d66b89160a0ad129bbab5115f416b56ada6a0b136bc44982ec003a86802e99e008801');
             var key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('68bbb32ae81b85752be3bc632293a31353f9df0a96976193474782cc13a5cdda'));
             assert.throws(function(){
-                key.decrypt(c);
+                key.decrypt(c, null, { legacy: true });
+            }, cryptoe.Error);
+            assert.throws(function(){
+                key.decrypt(cryptoe.messageFromHexString('010100'));
             }, cryptoe.Error);
         });
     });  
 
+    describe('Destroying symmetric keys', function(){
+        it('wipes the key material', function() {
+            var key = cryptoe.generateSymmetricKey();
+            var m = cryptoe.messageFromString('secret');
+            var e = key.encrypt(m);
+            var keyMessage = key.asMessage();
+            keyMessage.wipe(); // a copy, the key is not affected
+            assert.equal(key.decrypt(e.clone()).toString(), 'secret');
+            var copy = cryptoe.symmetricKeyFromMessage(key.asMessage());
+            key.destroy();
+            key.destroy();
+            [function(){ key.encrypt(m); },
+             function(){ key.decrypt(e.clone()); },
+             function(){ key.asMessage(); },
+             function(){ key.toJwk(); },
+             function(){ key.createEncryptStream(); }].forEach(function(use) {
+                assert.throws(use, function(err) {
+                    return err instanceof cryptoe.Error && err.message === 'Key destroyed';
+                });
+            });
+            assert.equal(copy.decrypt(e.clone()).toString(), 'secret');
+            return key.decryptAsync(e.clone()).then(function() {
+                assert.fail('expected an error');
+            }, function(err) {
+                assert.ok(err instanceof cryptoe.Error);
+            });
+        });
+    });
+
+    describe('Key wrapping', function(){
+        it('wraps and unwraps keys of every type', function() {
+            var wrappingKey = cryptoe.generateSymmetricKey();
+            [['symmetric', cryptoe.generateSymmetricKey()],
+             ['mac', cryptoe.generateMacKey()],
+             ['decryption', cryptoe.generateEncryptionKeyPair().privateKey],
+             ['signing', cryptoe.generateSigningKeyPair().privateKey],
+             ['keyAgreementPrivate', cryptoe.generateKeyAgreementKeyPair('P-384').privateKey]].forEach(function(test) {
+                var wrapped = wrappingKey.wrapKey(test[1]);
+                assert.equal(wrapped.len() % 8, 0);
+                assert.ok(wrapped.len() > test[1].asMessage().len());
+                var unwrapped = wrappingKey.unwrapKey(wrapped, test[0]);
+                assert.ok(unwrapped.asMessage().equals(test[1].asMessage()), test[0]);
+                assert.throws(function(){
+                    cryptoe.generateSymmetricKey().unwrapKey(wrapped, test[0]);
+                }, function(err) {
+                    return err instanceof cryptoe.Error && err.message === 'Invalid Ciphertext';
+                });
+            });
+        });
+
+        it('refuses to unwrap keys of a wrong type', function() {
+            var wrappingKey = cryptoe.generateSymmetricKey();
+            var wrongType = function(err) {
+                return err instanceof cryptoe.Error && err.message === 'Invalid key: wrong type of key';
+            };
+            var wrapped = wrappingKey.wrapKey(cryptoe.generateSymmetricKey());
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'mac'); }, wrongType);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'signing'); }, wrongType);
+            wrapped = wrappingKey.wrapKey(cryptoe.generateMacKey());
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'symmetric'); }, wrongType);
+            wrapped = wrappingKey.wrapKey(cryptoe.generateSigningKeyPair().privateKey);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'decryption'); }, wrongType);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'symmetric'); }, wrongType);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'verification'); }, cryptoe.Error);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'keyAgreementPrivate'); }, wrongType);
+            wrapped = wrappingKey.wrapKey(cryptoe.generateKeyAgreementKeyPair('P-256').privateKey);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'signing'); }, wrongType);
+            assert.throws(function(){ wrappingKey.unwrapKey(wrapped, 'mac'); }, wrongType);
+            assert.ok(wrappingKey.unwrapKey(wrapped, 'keyAgreementPrivate'));
+            assert.throws(function(){
+                wrappingKey.wrapKey(cryptoe.generateSigningKeyPair().publicKey);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                wrappingKey.wrapKey(cryptoe.macKeyFromMessage(cryptoe.messageFromString('short')));
+            }, cryptoe.Error);
+            assert.throws(function(){ wrappingKey.unwrapKey(cryptoe.random(20), 'symmetric'); }, cryptoe.Error);
+        });
+
+        it('is compatible with RFC 3394', function() {
+            // RFC 3394, Section 4.6: 256 bits of key data with a 256-bit KEK
+            var kek = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'));
+            var key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('00112233445566778899aabbccddeeff000102030405060708090a0b0c0d0e0f'));
+            var wrapped = '28c9f404c4b810f4cbccb35cfb87f8263f5786e2d80ed326cbc7f0e71a99f43bfb988b9b7a02dd21';
+            assert.equal(kek.wrapKey(key).toHexString(), wrapped);
+            assert.ok(kek.unwrapKey(cryptoe.messageFromHexString(wrapped), 'symmetric').asMessage().equals(key.asMessage()));
+        });
+
+        it('is compatible with Web Crypto', function() {
+            var subtle = crypto.webcrypto.subtle;
+            var wrappingKey = cryptoe.generateSymmetricKey();
+            var key = cryptoe.generateSymmetricKey();
+            return Promise.all([
+                subtle.importKey('raw', wrappingKey.asMessage().toBytes(), 'AES-KW', false, ['wrapKey', 'unwrapKey']),
+                subtle.importKey('raw', key.asMessage().toBytes(), 'AES-GCM', true, ['encrypt'])
+            ]).then(function(keys) {
+                return subtle.wrapKey('raw', keys[1], keys[0], 'AES-KW').then(function(wrapped) {
+                    wrapped = cryptoe.messageFromBytes(new Uint8Array(wrapped));
+                    assert.equal(wrapped.toHexString(), wrappingKey.wrapKey(key).toHexString());
+                    return subtle.unwrapKey('raw', wrapped.toBytes(), keys[0], 'AES-KW', 'AES-GCM', true, ['encrypt']);
+                });
+            }).then(function(unwrapped) {
+                return subtle.exportKey('raw', unwrapped);
+            }).then(function(raw) {
+                assert.equal(Buffer.from(raw).toString('hex'), key.asMessage().toHexString());
+            });
+        });
+    });
+
+    describe('Keyrings', function(){
+        var m = cryptoe.messageFromString('A message');
+        var unknownKeyId = function(err) {
+            return err instanceof cryptoe.Error && err.message === 'Keyring: unknown key id';
+        };
+
+        it('encrypt with the primary key and decrypt by key id', function() {
+            var key1 = cryptoe.generateSymmetricKey();
+            var keyring = cryptoe.keyring();
+            assert.equal(keyring.primaryId(), null);
+            assert.throws(function(){ keyring.encrypt(m); }, cryptoe.Error);
+            keyring.add('key-1', key1);
+            keyring.add('key-2');
+            assert.deepEqual(keyring.ids(), ['key-1', 'key-2']);
+            assert.equal(keyring.primaryId(), 'key-1');
+
+            var e1 = keyring.encrypt(m);
+            assert.equal(cryptoe.ciphertextKeyId(e1).toString(), 'key-1');
+            assert.equal(key1.decrypt(e1.clone()).toString(), 'A message');
+
+            keyring.setPrimary('key-2');
+            var ad = cryptoe.messageFromString('record 17');
+            var e2 = keyring.encrypt(m, ad);
+            assert.equal(cryptoe.ciphertextKeyId(e2).toString(), 'key-2');
+            assert.equal(keyring.decrypt(e1).toString(), 'A message');
+            assert.equal(keyring.decrypt(e2, ad).toString(), 'A message');
+            assert.throws(function(){ keyring.decrypt(e2); }, cryptoe.Error);
+            assert.throws(function(){ keyring.decrypt(key1.encrypt(m)); }, cryptoe.Error);
+            assert.throws(function(){
+                keyring.decrypt(key1.encrypt(m, null, { keyId: cryptoe.messageFromString('key-3') }));
+            }, unknownKeyId);
+            return keyring.encryptAsync(m).then(function(e) {
+                assert.equal(cryptoe.ciphertextKeyId(e).toString(), 'key-2');
+                return keyring.decryptAsync(e);
+            }).then(function(d) {
+                assert.equal(d.toString(), 'A message');
+            });
+        });
+
+        it('retire and remove keys', function() {
+            var keyring = cryptoe.keyring();
+            keyring.add('key-1');
+            var e1 = keyring.encrypt(m);
+            keyring.add('key-2');
+            assert.throws(function(){ keyring.retire('key-1'); }, cryptoe.Error);
+            assert.throws(function(){ keyring.remove('key-1'); }, cryptoe.Error);
+            keyring.setPrimary('key-2');
+            keyring.retire('key-1');
+            assert.ok(keyring.isRetired('key-1'));
+            assert.ok(!keyring.isRetired('key-2'));
+            assert.throws(function(){ keyring.setPrimary('key-1'); }, cryptoe.Error);
+            assert.equal(keyring.decrypt(e1).toString(), 'A message');
+            keyring.remove('key-1');
+            assert.deepEqual(keyring.ids(), ['key-2']);
+            assert.throws(function(){ keyring.decrypt(e1); }, unknownKeyId);
+            assert.throws(function(){ keyring.retire('key-1'); }, unknownKeyId);
+            assert.throws(function(){ keyring.add('key-2'); }, cryptoe.Error);
+            assert.throws(function(){ keyring.add(''); }, cryptoe.Error);
+            assert.throws(function(){ keyring.add('x'.repeat(256)); }, cryptoe.Error);
+            assert.throws(function(){ keyring.add('mac', cryptoe.generateMacKey()); }, cryptoe.Error);
+        });
+
+        it('serialize to an encrypted message', function() {
+            var masterKey = cryptoe.generateSymmetricKey();
+            var keyring = cryptoe.keyring();
+            keyring.add('key-1');
+            var e1 = keyring.encrypt(m);
+            keyring.add('key-2');
+            keyring.add('key-3');
+            keyring.setPrimary('key-2');
+            keyring.retire('key-1');
+            var serialized = keyring.asMessage(masterKey);
+            var loaded = cryptoe.keyringFromMessage(serialized, masterKey);
+            assert.deepEqual(loaded.ids(), ['key-1', 'key-2', 'key-3']);
+            assert.equal(loaded.primaryId(), 'key-2');
+            assert.ok(loaded.isRetired('key-1'));
+            assert.ok(!loaded.isRetired('key-3'));
+            assert.equal(loaded.decrypt(e1).toString(), 'A message');
+            assert.equal(keyring.decrypt(loaded.encrypt(m)).toString(), 'A message');
+            assert.equal(cryptoe.keyringFromMessage(cryptoe.keyring().asMessage(masterKey), masterKey).ids().length, 0);
+
+            assert.throws(function(){
+                cryptoe.keyringFromMessage(serialized, cryptoe.generateSymmetricKey());
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.keyringFromMessage(masterKey.encrypt(serialized), masterKey);
+            }, cryptoe.Error);
+            var invalid = masterKey.encrypt(cryptoe.messageFromObject({ version: 1, primary: 'key-1', keys: [] }),
+                                            cryptoe.messageFromString('cryptoe keyring'));
+            assert.throws(function(){ cryptoe.keyringFromMessage(invalid, masterKey); }, function(err) {
+                return err instanceof cryptoe.Error && err.message === 'Invalid Keyring';
+            });
+        });
+    });
+
+    describe('Public-key encryption', function(){
+
+        var pair = cryptoe.generateEncryptionKeyPair();
+
+        it('works for some messages', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var e = pair.publicKey.encrypt(m);
+            var d = pair.privateKey.decrypt(e);
+            assert.equal(m.toHexString(), d.toHexString());
+        });
+
+        it('conversion of keys to/from messages works as expected', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var publicKey = cryptoe.encryptionKeyFromMessage(pair.publicKey.asMessage());
+            var privateKey = cryptoe.decryptionKeyFromMessage(pair.privateKey.asMessage());
+            var d = privateKey.decrypt(publicKey.encrypt(m));
+            assert.equal(m.toString(), d.toString());
+        });
+
+        it('rejects invalid ciphertexts', function() {
+            var e = pair.publicKey.encrypt(cryptoe.messageFromString('ala ma kota'));
+            var c = cryptoe.messageFromBytes(e.toBytes());
+            c.appendByte(1);
+            assert.throws(function(){
+                pair.privateKey.decrypt(c);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.generateEncryptionKeyPair().privateKey.decrypt(e);
+            }, cryptoe.Error);
+        });
+
+        it('rejects too long messages', function() {
+            assert.throws(function(){
+                pair.publicKey.encrypt(cryptoe.random(191));
+            }, cryptoe.Error);
+        });
+
+        it('rejects keys of wrong format', function() {
+            assert.throws(function(){
+                cryptoe.encryptionKeyFromMessage(cryptoe.random(100));
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.encryptionKeyFromMessage(pair.privateKey.asMessage());
+            }, cryptoe.Error);
+        });
+
+        it('decrypts ciphertexts created by Web Crypto', function() {
+            var subtle = crypto.webcrypto.subtle;
+            var algorithm = { name: 'RSA-OAEP', hash: 'SHA-256' };
+            var m = cryptoe.messageFromString('łąka!');
+            return subtle.importKey('spki', pair.publicKey.asMessage().toBytes(), algorithm, false, ['encrypt'])
+                .then(function(publicKey) {
+                    return subtle.encrypt(algorithm, publicKey, m.toBytes());
+                })
+                .then(function(encrypted) {
+                    var d = pair.privateKey.decrypt(cryptoe.messageFromBytes(new Uint8Array(encrypted)));
+                    assert.equal(d.toString(), 'łąka!');
+                });
+        });
+    });
+
+    describe('Digital signatures', function(){
+
+        var pair = cryptoe.generateSigningKeyPair();
+
+        it('works for some messages', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var s = pair.privateKey.sign(m);
+            assert.equal(s.len(), 64);
+            assert(pair.publicKey.verify(m, s));
+        });
+
+        it('conversion of keys to/from messages works as expected', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var signingKey = cryptoe.signingKeyFromMessage(pair.privateKey.asMessage());
+            var verificationKey = cryptoe.verificationKeyFromMessage(pair.publicKey.asMessage());
+            assert(verificationKey.verify(m, signingKey.sign(m)));
+        });
+
+        it('rejects invalid signatures', function() {
+            var m = cryptoe.messageFromString('ala ma kota');
+            var s = pair.privateKey.sign(m);
+            assert.throws(function(){
+                pair.publicKey.verify(cryptoe.messageFromString('ala ma psa'), s);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                pair.publicKey.verify(m, s.slice(0, 63));
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.generateSigningKeyPair().publicKey.verify(m, s);
+            }, cryptoe.Error);
+        });
+
+        it('rejects keys of wrong format', function() {
+            assert.throws(function(){
+                cryptoe.verificationKeyFromMessage(cryptoe.random(100));
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.verificationKeyFromMessage(cryptoe.generateEncryptionKeyPair().publicKey.asMessage());
+            }, cryptoe.Error);
+            var p384 = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' });
+            assert.throws(function(){
+                cryptoe.signingKeyFromMessage(cryptoe.messageFromBytes(p384.privateKey.export({ type: 'pkcs8', format: 'der' })));
+            }, cryptoe.Error);
+        });
+
+        it('produces signatures verifiable by Web Crypto', function() {
+            var subtle = crypto.webcrypto.subtle;
+            var algorithm = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+            var m = cryptoe.messageFromString('łąka!');
+            var s = pair.privateKey.sign(m);
+            return subtle.importKey('spki', pair.publicKey.asMessage().toBytes(), algorithm, false, ['verify'])
+                .then(function(publicKey) {
+                    return subtle.verify(algorithm, publicKey, s.toBytes(), m.toBytes());
+                })
+                .then(function(valid) {
+                    assert(valid);
+                });
+        });
+    });
+
+    describe('Key agreement', function(){
+
+        var alice = cryptoe.generateKeyAgreementKeyPair();
+        var bob = cryptoe.generateKeyAgreementKeyPair();
+
+        it('derives the same symmetric key for both parties', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var info = cryptoe.messageFromString('some context');
+            var aliceKey = alice.privateKey.deriveSymmetricKey(bob.publicKey, info);
+            var bobKey = bob.privateKey.deriveSymmetricKey(alice.publicKey, info);
+            assert.equal(aliceKey.asMessage().toHexString(), bobKey.asMessage().toHexString());
+            assert.equal(bobKey.decrypt(aliceKey.encrypt(m)).toString(), m.toString());
+        });
+
+        it('derives different keys for different info', function() {
+            var k1 = alice.privateKey.deriveSymmetricKey(bob.publicKey);
+            var k2 = alice.privateKey.deriveSymmetricKey(bob.publicKey, cryptoe.messageFromString('x'));
+            assert.notEqual(k1.asMessage().toHexString(), k2.asMessage().toHexString());
+        });
+
+        it('works for P-384', function() {
+            var a = cryptoe.generateKeyAgreementKeyPair('P-384');
+            var b = cryptoe.generateKeyAgreementKeyPair('P-384');
+            assert.equal(a.privateKey.deriveSymmetricKey(b.publicKey).asMessage().toHexString(),
+                         b.privateKey.deriveSymmetricKey(a.publicKey).asMessage().toHexString());
+            assert.throws(function(){
+                a.privateKey.deriveSymmetricKey(bob.publicKey);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.generateKeyAgreementKeyPair('P-521');
+            }, cryptoe.Error);
+        });
+
+        it('conversion of keys to/from messages works as expected', function() {
+            var publicKey = cryptoe.keyAgreementPublicKeyFromMessage(bob.publicKey.asMessage());
+            var privateKey = cryptoe.keyAgreementPrivateKeyFromMessage(alice.privateKey.asMessage());
+            assert.equal(privateKey.deriveSymmetricKey(publicKey).asMessage().toHexString(),
+                         bob.privateKey.deriveSymmetricKey(alice.publicKey).asMessage().toHexString());
+            assert.throws(function(){
+                cryptoe.keyAgreementPublicKeyFromMessage(cryptoe.generateEncryptionKeyPair().publicKey.asMessage());
+            }, cryptoe.Error);
+        });
+
+        it('derives the same key as Web Crypto', function() {
+            var subtle = crypto.webcrypto.subtle;
+            var algorithm = { name: 'ECDH', namedCurve: 'P-256' };
+            var info = cryptoe.messageFromString('some context');
+            var expected = alice.privateKey.deriveSymmetricKey(bob.publicKey, info);
+            return Promise.all([
+                    subtle.importKey('pkcs8', bob.privateKey.asMessage().toBytes(), algorithm, false, ['deriveBits']),
+                    subtle.importKey('spki', alice.publicKey.asMessage().toBytes(), algorithm, false, [])
+                ])
+                .then(function(keys) {
+                    return subtle.deriveBits({ name: 'ECDH', public: keys[1] }, keys[0], 256);
+                })
+                .then(function(secret) {
+                    return subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+                })
+                .then(function(secretKey) {
+                    var params = { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: info.toBytes() };
+                    return subtle.deriveKey(params, secretKey, { name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+                })
+                .then(function(key) {
+                    return subtle.exportKey('raw', key);
+                })
+                .then(function(raw) {
+                    assert.equal(Buffer.from(raw).toString('hex'), expected.asMessage().toHexString());
+                });
+        });
+    });
+
+    describe('Key derivation', function(){
+        var range = function(first, last) {
+            var hex = '';
+            for (var i = first; i <= last; ++i) hex += ('0' + i.toString(16)).slice(-2);
+            return cryptoe.messageFromHexString(hex);
+        };
+
+        it('is compatible with the test vectors of RFC 5869', function() {
+            // Test cases 1, 2 and 3 (SHA-256)
+            assert.equal(cryptoe.hkdf(cryptoe.messageFromHexString('0b'.repeat(22)), range(0x00, 0x0c), range(0xf0, 0xf9), 42).toHexString(),
+                         '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865');
+            assert.equal(cryptoe.hkdf(range(0x00, 0x4f), range(0x60, 0xaf), range(0xb0, 0xff), 82).toHexString(),
+                         'b11e398dc80327a1c8e7f78c596a49344f012eda2d4efad8a050cc4c19afa97c' +
+                         '59045a99cac7827271cb41c65e590e09da3275600c2f09b8367793a9aca3db71' +
+                         'cc30c58179ec3e87c14c01d5c1f3434f1d87');
+            var okm3 = '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8';
+            assert.equal(cryptoe.hkdf(cryptoe.messageFromHexString('0b'.repeat(22)), null, null, 42).toHexString(), okm3);
+            assert.equal(cryptoe.hkdf(cryptoe.messageFromHexString('0b'.repeat(22)), cryptoe.emptyMessage(), cryptoe.emptyMessage(), 42).toHexString(), okm3);
+        });
+
+        it('checks its arguments', function() {
+            var ikm = cryptoe.random(32);
+            assert.equal(cryptoe.hkdf(ikm, null, null, 8160).len(), 8160);
+            assert.throws(function(){ cryptoe.hkdf(ikm, null, null, 8161); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.hkdf(ikm, null, null, 0); }, cryptoe.Error);
+            assert.equal(cryptoe.hkdf(ikm, null, cryptoe.random(1024), 32).len(), 32);
+            assert.throws(function(){ cryptoe.hkdf(ikm, null, cryptoe.random(1025), 32); }, cryptoe.TypeError);
+            assert.throws(function(){ cryptoe.hkdf(ikm, 'salt', null, 32); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.hkdf('ikm', null, null, 32); }, cryptoe.Error);
+        });
+
+        it('derives independent symmetric keys', function() {
+            var master = cryptoe.generateSymmetricKey();
+            var files = master.deriveKey(cryptoe.messageFromString('files'));
+            var tokens = master.deriveKey(cryptoe.messageFromString('tokens'));
+            assert.equal(files.asMessage().len(), 32);
+            assert.ok(files.asMessage().equals(master.deriveKey(cryptoe.messageFromString('files')).asMessage()));
+            assert.ok(files.asMessage().equals(cryptoe.hkdf(master.asMessage(), null, cryptoe.messageFromString('files'), 32)));
+            assert.ok(!files.asMessage().equals(tokens.asMessage()));
+            var salted = master.deriveKey(cryptoe.messageFromString('files'), cryptoe.messageFromString('tenant 17'));
+            assert.ok(!files.asMessage().equals(salted.asMessage()));
+
+            var m = cryptoe.messageFromString('A message');
+            assert.equal(files.decrypt(files.encrypt(m)).toString(), 'A message');
+            assert.throws(function(){ tokens.decrypt(files.encrypt(m)); }, cryptoe.Error);
+            assert.throws(function(){ master.deriveKey('files'); }, cryptoe.Error);
+        });
+    });
+
+    describe('Hybrid public-key encryption', function(){
+        // RFC 9180, Appendix A.3.1: DHKEM(P-256, HKDF-SHA256), HKDF-SHA256,
+        // AES-128-GCM, base mode (the first encryption)
+        var vector = {
+            skRm: 'f3ce7fdae57e1a310d87f1ebbde6f328be0a99cdbcadf4d6589cf29de4b8ffd2',
+            pkRm: '04fe8c19ce0905191ebc298a9245792531f26f0cece2460639e8bc39cb7f706a826a779b4cf969b8a0e539c7f62fb3d30ad6aa8f80e30f1d128aafd68a2ce72ea0',
+            enc: '04a92719c6195d5085104f469a8b9814d5838ff72b60501e2c4466e5e67b325ac98536d7b61a1af4b78e5b7f951c0900be863c403ce65c9bfcb9382657222d18c4',
+            info: '4f6465206f6e2061204772656369616e2055726e',
+            pt: '4265617574792069732074727574682c20747275746820626561757479',
+            aad: '436f756e742d30',
+            ct: '5ad590bb8baa577f8619db35a36311226a896e7342a6d836d8b7bcd2f20b6c7f9076ac232e3ab2523f39513434'
+        };
+        var vectorKey = function() {
+            var pk = Buffer.from(vector.pkRm, 'hex');
+            return cryptoe.keyAgreementPrivateKeyFromJwk({ kty: 'EC', crv: 'P-256',
+                x: pk.subarray(1, 33).toString('base64url'), y: pk.subarray(33).toString('base64url'),
+                d: Buffer.from(vector.skRm, 'hex').toString('base64url') });
+        };
+
+        it('seals and opens messages', function() {
+            var pair = cryptoe.generateKeyAgreementKeyPair();
+            var m = cryptoe.messageFromString('A message for the recipient');
+            var info = cryptoe.messageFromString('application v1');
+            var ad = cryptoe.messageFromString('record 17');
+            var sealed = cryptoe.seal(pair.publicKey, m, info, ad);
+            assert.equal(sealed.len(), 65 + m.len() + 16);
+            assert.notEqual(sealed.toHexString(), cryptoe.seal(pair.publicKey, m, info, ad).toHexString());
+            assert.equal(pair.privateKey.open(sealed, info, ad).toString(), m.toString());
+            assert.equal(pair.privateKey.open(cryptoe.seal(pair.publicKey, m)).toString(), m.toString());
+            assert.equal(pair.privateKey.open(cryptoe.seal(pair.publicKey, cryptoe.emptyMessage())).len(), 0);
+            var m128 = pair.privateKey.open(cryptoe.seal(pair.publicKey, m, null, null, { aead: 'AES-128-GCM' }),
+                                            null, null, { aead: 'AES-128-GCM' });
+            assert.equal(m128.toString(), m.toString());
+        });
+
+        it('rejects invalid sealed boxes', function() {
+            var pair = cryptoe.generateKeyAgreementKeyPair();
+            var other = cryptoe.generateKeyAgreementKeyPair();
+            var m = cryptoe.messageFromString('A message for the recipient');
+            var info = cryptoe.messageFromString('application v1');
+            var sealed = cryptoe.seal(pair.publicKey, m, info);
+            var modified = sealed.slice(0, 70);
+            modified.appendByte(sealed.byteAt(70) ^ 1);
+            modified.appendMessage(sealed.slice(71));
+            var invalidPoint = cryptoe.messageFromHexString('04' + '00'.repeat(64));
+            invalidPoint.appendMessage(sealed.slice(65));
+            [function(){ pair.privateKey.open(sealed); },
+             function(){ pair.privateKey.open(sealed, cryptoe.messageFromString('application v2')); },
+             function(){ pair.privateKey.open(sealed, info, cryptoe.messageFromString('ad')); },
+             function(){ pair.privateKey.open(sealed, info, null, { aead: 'AES-128-GCM' }); },
+             function(){ other.privateKey.open(sealed, info); },
+             function(){ pair.privateKey.open(modified, info); },
+             function(){ pair.privateKey.open(invalidPoint, info); },
+             function(){ pair.privateKey.open(sealed.slice(0, 80), info); }].forEach(function(open) {
+                assert.throws(open, function(err) {
+                    return err instanceof cryptoe.Error && err.message === 'Invalid Ciphertext';
+                });
+            });
+            assert.equal(pair.privateKey.open(sealed, info).toString(), m.toString());
+        });
+
+        it('checks keys and options', function() {
+            var pair = cryptoe.generateKeyAgreementKeyPair('P-384');
+            var m = cryptoe.messageFromString('A message for the recipient');
+            assert.throws(function(){ cryptoe.seal(pair.publicKey, m); }, cryptoe.Error);
+            assert.throws(function(){
+                pair.privateKey.open(cryptoe.seal(cryptoe.generateKeyAgreementKeyPair().publicKey, m));
+            }, cryptoe.Error);
+            pair = cryptoe.generateKeyAgreementKeyPair();
+            assert.throws(function(){ cryptoe.seal(pair.publicKey, m, null, null, { aead: 'ChaCha20Poly1305' }); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.seal(pair.publicKey, 'message'); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.seal(pair.publicKey, m, 'info'); }, cryptoe.Error);
+        });
+
+        it('is compatible with the test vectors of RFC 9180', function() {
+            var sealed = cryptoe.messageFromHexString(vector.enc + vector.ct);
+            var m = vectorKey().open(sealed, cryptoe.messageFromHexString(vector.info),
+                                     cryptoe.messageFromHexString(vector.aad), { aead: 'AES-128-GCM' });
+            assert.equal(m.toHexString(), vector.pt);
+            assert.equal(m.toString(), 'Beauty is truth, truth beauty');
+            assert.throws(function(){
+                vectorKey().open(sealed, cryptoe.messageFromHexString(vector.info), cryptoe.messageFromHexString(vector.aad));
+            }, cryptoe.Error);
+        });
+    });
+
+    describe('Envelopes', function(){
+        var symmetricKey = cryptoe.generateSymmetricKey();
+        var rsaPair = cryptoe.generateEncryptionKeyPair();
+        var ecPair = cryptoe.generateKeyAgreementKeyPair();
+        var m = cryptoe.messageFromString('A document for several users');
+        var notRecipient = function(err) {
+            return err instanceof cryptoe.Error && err.message === 'Envelope: not a recipient';
+        };
+
+        it('can be opened by every recipient', function() {
+            var ad = cryptoe.messageFromString('document 17');
+            var envelope = cryptoe.createEnvelope(m, [symmetricKey, rsaPair.publicKey, ecPair.publicKey], ad);
+            [symmetricKey, rsaPair.privateKey, ecPair.privateKey].forEach(function(key) {
+                assert.equal(cryptoe.openEnvelope(envelope, key, ad).toString(), m.toString());
+                assert.throws(function(){ cryptoe.openEnvelope(envelope, key); }, cryptoe.Error);
+            });
+            assert.deepEqual(cryptoe.envelopeRecipientIds(envelope).map(function(id) { return id.toHexString(); }),
+                             [symmetricKey, rsaPair.publicKey, ecPair.publicKey].map(function(key) {
+                                 return cryptoe.keyThumbprint(key).toHexString();
+                             }));
+            assert.throws(function(){
+                cryptoe.openEnvelope(envelope, cryptoe.generateSymmetricKey(), ad);
+            }, notRecipient);
+        });
+
+        it('add and remove recipients without re-encrypting the payload', function() {
+            var envelope = cryptoe.createEnvelope(m, [symmetricKey]);
+            var payload = envelope.toObject().payload;
+            var extended = cryptoe.addEnvelopeRecipient(envelope, symmetricKey, ecPair.publicKey);
+            assert.ok(extended.toObject().payload.equals(payload));
+            assert.equal(cryptoe.openEnvelope(extended, ecPair.privateKey).toString(), m.toString());
+            assert.throws(function(){
+                cryptoe.addEnvelopeRecipient(extended, ecPair.privateKey, ecPair.publicKey);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.addEnvelopeRecipient(envelope, rsaPair.privateKey, rsaPair.publicKey);
+            }, notRecipient);
+
+            var reduced = cryptoe.removeEnvelopeRecipient(extended, symmetricKey);
+            assert.ok(reduced.toObject().payload.equals(payload));
+            assert.equal(cryptoe.envelopeRecipientIds(reduced).length, 1);
+            assert.equal(cryptoe.openEnvelope(reduced, ecPair.privateKey).toString(), m.toString());
+            assert.throws(function(){ cryptoe.openEnvelope(reduced, symmetricKey); }, notRecipient);
+            assert.throws(function(){ cryptoe.removeEnvelopeRecipient(reduced, ecPair.publicKey); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.removeEnvelopeRecipient(reduced, symmetricKey); }, notRecipient);
+        });
+
+        it('reject invalid envelopes and recipients', function() {
+            var envelope = cryptoe.createEnvelope(m, [symmetricKey]);
+            assert.throws(function(){ cryptoe.createEnvelope(m, []); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.createEnvelope(m, [symmetricKey, symmetricKey]); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.createEnvelope(m, [cryptoe.generateMacKey()]); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.createEnvelope(m, [rsaPair.privateKey]); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.createEnvelope(m, ['key']); }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.openEnvelope(cryptoe.messageFromObject({ version: 2, recipients: [], payload: m }), symmetricKey);
+            }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.openEnvelope(m, symmetricKey); }, cryptoe.Error);
+
+            var parsed = envelope.toObject();
+            parsed.payload = symmetricKey.encrypt(m);
+            assert.throws(function(){
+                cryptoe.openEnvelope(cryptoe.messageFromObject(parsed), symmetricKey);
+            }, cryptoe.Error);
+        });
+    });
+
+    describe('Password-based keys', function(){
+
+        var salt = cryptoe.messageFromHexString('000102030405060708090a0b0c0d0e0f');
+        var fast = { iterations: 1000 };
+        var fastScrypt = { algorithm: 'scrypt', cost: 1024 };
+
+        it('derive the same key for the same password and salt', function() {
+            var k1 = cryptoe.symmetricKeyFromPassword('secret', salt, fast);
+            var k2 = cryptoe.symmetricKeyFromPassword(cryptoe.messageFromString('secret'), salt, fast);
+            assert.equal(k1.asMessage().toHexString(), k2.asMessage().toHexString());
+            var k3 = cryptoe.symmetricKeyFromPassword('secret!', salt, fast);
+            assert.notEqual(k1.asMessage().toHexString(), k3.asMessage().toHexString());
+            var k4 = cryptoe.symmetricKeyFromPassword('secret', salt, fastScrypt);
+            assert.notEqual(k1.asMessage().toHexString(), k4.asMessage().toHexString());
+        });
+
+        it('use PBKDF2-SHA256 and scrypt as expected', function() {
+            var k = cryptoe.symmetricKeyFromPassword('password', cryptoe.messageFromString('salt'), { iterations: 1 });
+            assert.equal(k.asMessage().toHexString(), '120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b');
+            k = cryptoe.symmetricKeyFromPassword('password', cryptoe.messageFromString('NaCl'),
+                                                  { algorithm: 'scrypt', cost: 1024, blockSize: 8, parallelization: 16 });
+            assert.equal(k.asMessage().toHexString(), 'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162');
+        });
+
+        it('can be re-derived from the parameters', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            [fast, fastScrypt].forEach(function(options) {
+                var generated = cryptoe.generatePasswordKey('secret', options);
+                var key = cryptoe.symmetricKeyFromPasswordParameters('secret', generated.parameters);
+                assert.equal(key.decrypt(generated.key.encrypt(m)).toString(), m.toString());
+            });
+        });
+
+        it('reject invalid parameters', function() {
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromPassword('secret', salt, { algorithm: 'bcrypt' });
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromPassword('secret', salt, { iterations: 0 });
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromPassword('secret', salt, { algorithm: 'scrypt', cost: 1000 });
+            }, cryptoe.Error);
+            var parameters = cryptoe.generatePasswordKey('secret', fast).parameters;
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromPasswordParameters('secret', parameters.slice(0, -1));
+            }, cryptoe.Error);
+        });
+
+        it('reject parameters above the limits', function() {
+            // at most 8 times the work of the defaults
+            [{ iterations: 4800000 },
+             { algorithm: 'scrypt', cost: 1 << 18 },
+             { algorithm: 'scrypt', cost: 1 << 16, blockSize: 32 },
+             { algorithm: 'scrypt', cost: 1 << 14, parallelization: 16 }].forEach(function(options) {
+                assert.equal(kdfCalls(function(){ cryptoe.generatePasswordKey('secret', options); }), 1);
+            });
+            [{ iterations: 4800001 },
+             { algorithm: 'scrypt', cost: 1 << 21, blockSize: 1 },
+             { algorithm: 'scrypt', cost: 1 << 18, parallelization: 2 },
+             { algorithm: 'scrypt', cost: 1 << 14, blockSize: 16, parallelization: 16 },
+             { algorithm: 'scrypt', cost: 1 << 20, blockSize: 8, parallelization: 16 },
+             { algorithm: 'scrypt', cost: 2, blockSize: 33 },
+             { algorithm: 'scrypt', cost: 2, parallelization: 17 }].forEach(function(options) {
+                assert.equal(kdfCalls(function(){
+                    assert.throws(function(){
+                        cryptoe.generatePasswordKey('secret', options);
+                    }, cryptoe.UnsupportedError);
+                }), 0);
+            });
+            var pbkdf2 = cryptoe.generatePasswordKey('secret', fast).parameters.toHexString();
+            var scrypt = cryptoe.generatePasswordKey('secret', fastScrypt).parameters.toHexString();
+            // version, algorithm, then the options as 32-bit integers
+            ['0101' + '80' + pbkdf2.slice(6),
+             '0102' + 'ffffffff' + scrypt.slice(12),
+             '0102' + scrypt.slice(4, 12) + '00010000' + scrypt.slice(20),
+             '0102' + scrypt.slice(4, 20) + '7fffffff' + scrypt.slice(28)].forEach(function(hex) {
+                assert.equal(kdfCalls(function(){
+                    assert.throws(function(){
+                        cryptoe.symmetricKeyFromPasswordParameters('secret', cryptoe.messageFromHexString(hex));
+                    }, cryptoe.UnsupportedError);
+                }), 0);
+            });
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromPasswordParameters('secret', cryptoe.messageFromHexString('0102' + '000003ff' + scrypt.slice(12)));
+            }, cryptoe.EncodingError);
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromPasswordParameters('secret', cryptoe.messageFromHexString('0101' + '00000000' + pbkdf2.slice(12)));
+            }, cryptoe.EncodingError);
+        });
+    });
+
+    describe('Key stores', function(){
+        var fast = { iterations: 1000 };
+        var errorWith = function(message) {
+            return function(err) { return err instanceof cryptoe.Error && err.message === message; };
+        };
+
+        it('save and load keys of all types', function() {
+            var symmetricKey = cryptoe.generateSymmetricKey();
+            var macKey = cryptoe.generateMacKey();
+            var rsaPair = cryptoe.generateEncryptionKeyPair();
+            var signingPair = cryptoe.generateSigningKeyPair();
+            var ecdhPair = cryptoe.generateKeyAgreementKeyPair('P-384');
+            var store = cryptoe.keyStore();
+            store.set('files', symmetricKey);
+            store.set('tokens', macKey);
+            store.set('rsa public', rsaPair.publicKey);
+            store.set('rsa private', rsaPair.privateKey);
+            store.set('signing', signingPair.privateKey);
+            store.set('verification', signingPair.publicKey);
+            store.set('ecdh public', ecdhPair.publicKey);
+            store.set('ecdh private', ecdhPair.privateKey);
+
+            var loaded = cryptoe.loadKeyStore(store.asMessage('correct horse', fast), 'correct horse');
+            assert.deepEqual(loaded.names(), store.names());
+            store.names().forEach(function(name) {
+                assert.ok(loaded.get(name).asMessage().equals(store.get(name).asMessage()), name);
+            });
+            var m = cryptoe.messageFromString('A message');
+            assert.equal(loaded.get('files').decrypt(symmetricKey.encrypt(m)).toString(), 'A message');
+            assert.ok(loaded.get('verification').verify(m, signingPair.privateKey.sign(m)));
+            assert.ok(macKey.verify(m, loaded.get('tokens').tag(m)));
+
+            var scryptStore = store.asMessage(cryptoe.messageFromString('correct horse'), { algorithm: 'scrypt', cost: 1024 });
+            assert.equal(cryptoe.loadKeyStore(scryptStore, 'correct horse').names().length, 8);
+        });
+
+        it('manage named keys', function() {
+            var store = cryptoe.keyStore();
+            var key1 = cryptoe.generateSymmetricKey(), key2 = cryptoe.generateSymmetricKey();
+            store.set('key', key1);
+            store.set('key', key2);
+            assert.deepEqual(store.names(), ['key']);
+            assert.equal(store.get('key'), key2);
+            assert.ok(store.has('key'));
+            store.remove('key');
+            assert.ok(!store.has('key'));
+            assert.throws(function(){ store.get('key'); }, errorWith('Key store: unknown key'));
+            assert.throws(function(){ store.remove('key'); }, errorWith('Key store: unknown key'));
+            assert.throws(function(){ store.set('', key1); }, cryptoe.Error);
+            assert.throws(function(){ store.set('key', 'key'); }, cryptoe.Error);
+            assert.equal(cryptoe.loadKeyStore(store.asMessage('pw', fast), 'pw').names().length, 0);
+        });
+
+        it('tell a wrong password from corrupted data', function() {
+            var store = cryptoe.keyStore();
+            store.set('files', cryptoe.generateSymmetricKey());
+            var saved = store.asMessage('correct horse', fast);
+            assert.throws(function(){ cryptoe.loadKeyStore(saved, 'battery staple'); },
+                          errorWith('Key store: wrong password'));
+
+            var corrupted = saved.slice(0, -5);
+            corrupted.appendByte(saved.byteAt(saved.len() - 5) ^ 1);
+            corrupted.appendMessage(saved.slice(-4));
+            assert.throws(function(){ cryptoe.loadKeyStore(corrupted, 'correct horse'); },
+                          errorWith('Key store: corrupted data'));
+            assert.throws(function(){ cryptoe.loadKeyStore(saved.slice(0, 30), 'correct horse'); },
+                          errorWith('Key store: corrupted data'));
+            assert.throws(function(){ cryptoe.loadKeyStore(saved.slice(0, -1), 'correct horse'); },
+                          errorWith('Key store: corrupted data'));
+            var newVersion = cryptoe.messageFromHexString('02');
+            newVersion.appendMessage(saved.slice(1));
+            assert.throws(function(){ cryptoe.loadKeyStore(newVersion, 'correct horse'); },
+                          errorWith('Key store: unsupported version'));
+            assert.equal(cryptoe.loadKeyStore(saved, 'correct horse').names()[0], 'files');
+        });
+
+        it('reject tampered password parameters without deriving keys', function() {
+            var saved = cryptoe.keyStore().asMessage('correct horse', fast);
+            var scryptSaved = cryptoe.keyStore().asMessage('correct horse', { algorithm: 'scrypt', cost: 1024 });
+            // version, length of the parameters, their version and
+            // algorithm, then the options as 32-bit integers
+            var tampered = function(store, offset, hex) {
+                var m = store.slice(0, offset);
+                m.appendMessage(cryptoe.messageFromHexString(hex));
+                m.appendMessage(store.slice(offset + hex.length / 2));
+                return m;
+            };
+            [tampered(saved, 4, '80'),
+             tampered(saved, 4, '7fffffff'),
+             tampered(saved, 4, '00000000'),
+             tampered(scryptSaved, 4, '40000000'),
+             tampered(scryptSaved, 4, '00000300'),
+             tampered(scryptSaved, 8, '00001000'),
+             tampered(scryptSaved, 12, 'ffffffff')].forEach(function(store) {
+                assert.equal(kdfCalls(function(){
+                    assert.throws(function(){ cryptoe.loadKeyStore(store, 'correct horse'); },
+                                  errorWith('Key store: corrupted data'));
+                }), 0);
+            });
+        });
+
+        it('report any other version byte as an unsupported version', function() {
+            // the header is authenticated only for the version it
+            // announces, so a modified version byte cannot be told
+            // from a key store saved by another version of cryptoe
+            var saved = cryptoe.keyStore().asMessage('correct horse', fast);
+            [0x00, 0x02, 0x81, 0xff].forEach(function(version) {
+                var modified = cryptoe.messageFromBytes([version]);
+                modified.appendMessage(saved.slice(1));
+                assert.equal(kdfCalls(function(){
+                    assert.throws(function(){ cryptoe.loadKeyStore(modified, 'correct horse'); }, function(err) {
+                        return err instanceof cryptoe.UnsupportedError && err.message === 'Key store: unsupported version';
+                    });
+                }), 0);
+            });
+        });
+    });
+
+    describe('Hashing', function(){
+
+        var abc = cryptoe.messageFromString('abc');
+
+        it('works for some fixtures', function() {
+            assert.equal(cryptoe.hash(abc).toHexString(),
+                         'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+            assert.equal(cryptoe.hash(abc, 'SHA-256').toHexString(),
+                         'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+            assert.equal(cryptoe.hash(abc, 'SHA-384').toHexString(),
+                         'cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed' +
+                         '8086072ba1e7cc2358baeca134c825a7');
+            assert.equal(cryptoe.hash(abc, 'SHA-512').toHexString(),
+                         'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a' +
+                         '2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f');
+            assert.equal(cryptoe.hash(cryptoe.emptyMessage()).toHexString(),
+                         'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        });
+
+        it('gives the same result incrementally', function() {
+            var m = cryptoe.random(10000);
+            var rest = m.clone();
+            var hasher = cryptoe.hasher('SHA-512');
+            while (rest.len() > 0) {
+                hasher.update(rest.takeMessage(Math.min(999, rest.len())));
+            }
+            assert.equal(hasher.digest().toHexString(), cryptoe.hash(m, 'SHA-512').toHexString());
+        });
+
+        it('sometimes throws an exception', function() {
+            assert.throws(function(){
+                cryptoe.hash(abc, 'MD5');
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.hash('abc');
+            }, cryptoe.Error);
+            var hasher = cryptoe.hasher().update(abc);
+            hasher.digest();
+            assert.throws(function(){
+                hasher.update(abc);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                hasher.digest();
+            }, cryptoe.Error);
+        });
+    });
+
+    describe('Message authentication codes', function(){
+
+        var key = cryptoe.generateMacKey();
+
+        it('works for some messages', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var t = key.tag(m);
+            assert.equal(t.len(), 32);
+            assert(key.verify(m, t));
+        });
+
+        it('conversion of keys to/from messages works as expected', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var key1 = cryptoe.macKeyFromMessage(key.asMessage());
+            assert(key1.verify(m, key.tag(m)));
+        });
+
+        it('are not affected by wiping an exported copy', function() {
+            var m = cryptoe.messageFromString('ala ma kota w kącie');
+            var macKey = cryptoe.generateMacKey();
+            var t = macKey.tag(m);
+            var keyMessage = macKey.asMessage();
+            keyMessage.wipe(); // a copy, the key is not affected
+            assert(macKey.verify(m, t));
+            assert.ok(macKey.tag(m).equals(t));
+            assert.ok(!macKey.asMessage().equals(cryptoe.messageFromBytes(Buffer.alloc(64))));
+        });
+
+        it('works for some fixtures', function() {
+            // RFC 4231, test case 2
+            var key = cryptoe.macKeyFromMessage(cryptoe.messageFromString('Jefe'));
+            var m = cryptoe.messageFromString('what do ya want for nothing?');
+            assert.equal(key.tag(m).toHexString(), '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+        });
+
+        it('rejects invalid tags', function() {
+            var m = cryptoe.messageFromString('ala ma kota');
+            var t = key.tag(m);
+            assert.throws(function(){
+                key.verify(cryptoe.messageFromString('ala ma psa'), t);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                key.verify(m, t.slice(0, 31));
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.generateMacKey().verify(m, t);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.macKeyFromMessage(cryptoe.emptyMessage());
+            }, cryptoe.Error);
+        });
+    });
+
+    describe('Streaming encryption', function(){
+
+        var key = cryptoe.generateSymmetricKey();
+
+        // Writes the buffers to the stream and returns a promise of
+        // everything the stream emits (as a single buffer).
+        function run(stream, buffers) {
+            return new Promise(function(resolve, reject) {
+                var output = [];
+                stream.on('data', function(data) { output.push(data); });
+                stream.on('end', function() { resolve(Buffer.concat(output)); });
+                stream.on('error', reject);
+                buffers.forEach(function(buf) { stream.write(buf); });
+                stream.end();
+            });
+        }
+
+        // Splits a buffer into pieces of the given length.
+        function split(buf, length) {
+            var pieces = [];
+            for (var i=0; i<buf.length; i+=length) {
+                pieces.push(buf.slice(i, i+length));
+            }
+            return pieces;
+        }
+
+        it('works for data of different lengths', function() {
+            var lengths = [0, 1, 99, 100, 101, 1000, 12345];
+            return Promise.all(lengths.map(function(length) {
+                var data = crypto.randomBytes(length);
+                return run(key.createEncryptStream({ chunkSize: 100 }), split(data, 37))
+                    .then(function(encrypted) {
+                        return run(key.createDecryptStream(), split(encrypted, 53));
+                    })
+                    .then(function(decrypted) {
+                        assert.equal(decrypted.toString('hex'), data.toString('hex'));
+                    });
+            }));
+        });
+
+        it('works with the default chunk size', function() {
+            var data = crypto.randomBytes(200000);
+            return run(key.createEncryptStream(), [data])
+                .then(function(encrypted) {
+                    return run(key.createDecryptStream(), [encrypted]);
+                })
+                .then(function(decrypted) {
+                    assert.equal(decrypted.toString('hex'), data.toString('hex'));
+                });
+        });
+
+        it('detects modified, truncated and reordered streams', function() {
+            var data = crypto.randomBytes(1000);
+            var headerLength = 3 + 4 + 16;
+            var chunkLength = 100 + 16;
+            return run(key.createEncryptStream({ chunkSize: 100 }), [data]).then(function(encrypted) {
+                var modified = Buffer.from(encrypted);
+                modified[headerLength + 5] ^= 1;
+                var modifiedHeader = Buffer.from(encrypted);
+                modifiedHeader[10] ^= 1;
+                var truncated = encrypted.slice(0, headerLength + 3*chunkLength);
+                var reordered = Buffer.concat([encrypted.slice(0, headerLength),
+                                               encrypted.slice(headerLength + chunkLength, headerLength + 2*chunkLength),
+                                               encrypted.slice(headerLength, headerLength + chunkLength),
+                                               encrypted.slice(headerLength + 2*chunkLength)]);
+                return Promise.all([
+                    rejected(run(key.createDecryptStream(), [modified])),
+                    rejected(run(key.createDecryptStream(), [modifiedHeader])),
+                    rejected(run(key.createDecryptStream(), [truncated])),
+                    rejected(run(key.createDecryptStream(), [reordered])),
+                    rejected(run(key.createDecryptStream(), [encrypted.slice(0, 10)])),
+                    rejected(run(cryptoe.generateSymmetricKey().createDecryptStream(), [encrypted]))
+                ]);
+            });
+        });
+
+        it('emits only authenticated chunks', function() {
+            var data = crypto.randomBytes(1000);
+            return run(key.createEncryptStream({ chunkSize: 100 }), [data]).then(function(encrypted) {
+                var modified = Buffer.from(encrypted);
+                modified[modified.length - 1] ^= 1;
+                var output = [];
+                var stream = key.createDecryptStream();
+                stream.on('data', function(data) { output.push(data); });
+                return rejected(run(stream, [modified])).then(function() {
+                    assert.equal(Buffer.concat(output).toString('hex'), data.slice(0, 900).toString('hex'));
+                });
+            });
+        });
+
+        it('checks the options', function() {
+            assert.throws(function(){
+                key.createEncryptStream({ chunkSize: 0 });
+            }, cryptoe.Error);
+            assert.throws(function(){
+                key.createEncryptStream({ keyId: 'abc' });
+            }, cryptoe.Error);
+        });
+    });
+
+    describe('JSON Web Keys', function(){
+
+        var symmetricKey = cryptoe.generateSymmetricKey();
+        var macKey = cryptoe.generateMacKey();
+        var encryptionPair = cryptoe.generateEncryptionKeyPair();
+        var signingPair = cryptoe.generateSigningKeyPair();
+        var agreementPair = cryptoe.generateKeyAgreementKeyPair();
+
+        // [key, loader, Web Crypto algorithm, usages]
+        var cases = [
+            [symmetricKey, cryptoe.symmetricKeyFromJwk, { name: 'AES-GCM' }, ['encrypt', 'decrypt']],
+            [macKey, cryptoe.macKeyFromJwk, { name: 'HMAC', hash: 'SHA-256' }, ['sign', 'verify']],
+            [encryptionPair.publicKey, cryptoe.encryptionKeyFromJwk, { name: 'RSA-OAEP', hash: 'SHA-256' }, ['encrypt']],
+            [encryptionPair.privateKey, cryptoe.decryptionKeyFromJwk, { name: 'RSA-OAEP', hash: 'SHA-256' }, ['decrypt']],
+            [signingPair.privateKey, cryptoe.signingKeyFromJwk, { name: 'ECDSA', namedCurve: 'P-256' }, ['sign']],
+            [signingPair.publicKey, cryptoe.verificationKeyFromJwk, { name: 'ECDSA', namedCurve: 'P-256' }, ['verify']],
+            [agreementPair.publicKey, cryptoe.keyAgreementPublicKeyFromJwk, { name: 'ECDH', namedCurve: 'P-256' }, []],
+            [agreementPair.privateKey, cryptoe.keyAgreementPrivateKeyFromJwk, { name: 'ECDH', namedCurve: 'P-256' }, ['deriveBits']]
+        ];
+
+        it('conversion of keys to/from JWKs works as expected', function() {
+            cases.forEach(function(c) {
+                var jwk = c[0].toJwk();
+                assert.equal(c[1](jwk).asMessage().toHexString(), c[0].asMessage().toHexString());
+                assert(jwk.alg && jwk.use && jwk.key_ops);
+            });
+        });
+
+        it('give thumbprints computed from the JWKs', function() {
+            cases.forEach(function(c) {
+                var jwk = c[0].toJwk();
+                var members = jwk.kty === 'oct' ? { k: jwk.k, kty: jwk.kty }
+                            : jwk.kty === 'RSA' ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+                            : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+                var expected = crypto.createHash('sha256').update(JSON.stringify(members)).digest('hex');
+                assert.equal(cryptoe.keyThumbprint(c[0]).toHexString(), expected);
+            });
+            var shortMacKey = cryptoe.macKeyFromMessage(cryptoe.messageFromString('Jefe'));
+            assert.equal(cryptoe.keyThumbprint(shortMacKey).toHexString(),
+                         crypto.createHash('sha256').update('{"k":"SmVmZQ","kty":"oct"}').digest('hex'));
+        });
+
+        it('are not exported to tell the types of keys', function() {
+            var noJwk = function(key) {
+                key.toJwk = function() { throw new Error('toJwk called'); };
+                return key;
+            };
+            var m = cryptoe.messageFromString('A message');
+            var symmetricKey = noJwk(cryptoe.generateSymmetricKey());
+            var macKey = noJwk(cryptoe.generateMacKey());
+            var pair = cryptoe.generateKeyAgreementKeyPair();
+            noJwk(pair.publicKey); noJwk(pair.privateKey);
+            var signingKey = noJwk(cryptoe.generateSigningKeyPair().privateKey);
+
+            cryptoe.verifyToken(cryptoe.createToken({ a: 1 }, macKey), macKey);
+            cryptoe.verifyToken(cryptoe.createToken({ a: 1 }, symmetricKey), symmetricKey);
+            var keyring = cryptoe.keyring();
+            keyring.add('k', symmetricKey);
+            cryptoe.keyringFromMessage(keyring.asMessage(symmetricKey), symmetricKey);
+            var envelope = cryptoe.createEnvelope(m, [symmetricKey, pair.publicKey]);
+            assert.equal(cryptoe.openEnvelope(envelope, pair.privateKey).toString(), 'A message');
+            symmetricKey.unwrapKey(symmetricKey.wrapKey(signingKey), 'signing');
+            symmetricKey.unwrapKey(symmetricKey.wrapKey(macKey), 'mac');
+            var store = cryptoe.keyStore();
+            store.set('symmetric', symmetricKey);
+            store.set('signing', signingKey);
+            cryptoe.loadKeyStore(store.asMessage('password', { iterations: 1000 }), 'password');
+            cryptoe.keyThumbprint(symmetricKey);
+            cryptoe.keyThumbprint(signingKey);
+            assert.throws(function(){ cryptoe.keyThumbprint({ toJwk: function() { return symmetricKey.toJwk(); } }); },
+                          cryptoe.TypeError);
+        });
+
+        it('produces JWKs importable by Web Crypto', function() {
+            var subtle = crypto.webcrypto.subtle;
+            return Promise.all(cases.map(function(c) {
+                return subtle.importKey('jwk', c[0].toJwk(), c[2], true, c[3]);
+            }));
+        });
+
+        it('imports JWKs exported by Web Crypto', function() {
+            var subtle = crypto.webcrypto.subtle;
+            var m = cryptoe.messageFromString('ala ma kota');
+            return subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+                .then(function(key) {
+                    return subtle.exportKey('jwk', key);
+                })
+                .then(function(jwk) {
+                    var key = cryptoe.symmetricKeyFromJwk(jwk);
+                    assert.equal(key.decrypt(key.encrypt(m)).toString(), m.toString());
+                });
+        });
+
+        it('validates JWKs', function() {
+            var jwk = symmetricKey.toJwk();
+            [{ alg: 'A128GCM' }, { use: 'sig' }, { key_ops: ['encrypt', 'sign'] },
+             { kty: 'RSA' }, { k: 'AAAA' }, { k: 'a+b/' }].forEach(function(change) {
+                var modified = Object.assign({}, jwk, change);
+                assert.throws(function(){
+                    cryptoe.symmetricKeyFromJwk(modified);
+                }, cryptoe.Error);
+            });
+            assert.throws(function(){
+                cryptoe.macKeyFromJwk(jwk);
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.symmetricKeyFromJwk('abc');
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.verificationKeyFromJwk(signingPair.privateKey.toJwk());
+            }, cryptoe.Error);
+            assert.throws(function(){
+                cryptoe.signingKeyFromJwk(agreementPair.privateKey.toJwk());
+            }, cryptoe.Error);
+            var jwk384 = cryptoe.generateKeyAgreementKeyPair('P-384').publicKey.toJwk();
+            jwk384.alg = 'ES256';
+            jwk384.use = 'sig';
+            jwk384.key_ops = ['verify'];
+            assert.throws(function(){
+                cryptoe.verificationKeyFromJwk(jwk384);
+            }, cryptoe.Error);
+        });
+    });
+
+    describe('Tokens', function(){
+        var claims = { sub: 'user 17', admin: false, exp: 2000000000, nbf: 1000000000 };
+        var now = 1500000000000;
+        var b64 = function(value) { return Buffer.from(JSON.stringify(value)).toString('base64url'); };
+        var errorWith = function(message) {
+            return function(err) { return err instanceof cryptoe.Error && err.message === message; };
+        };
+
+        it('are created and verified with symmetric and MAC keys', function() {
+            var symmetricKey = cryptoe.generateSymmetricKey();
+            var macKey = cryptoe.generateMacKey();
+            var jwe = cryptoe.createToken(claims, symmetricKey);
+            var jws = cryptoe.createToken(claims, macKey);
+            assert.equal(jwe.split('.').length, 5);
+            assert.equal(jws.split('.').length, 3);
+            assert.equal(jwe.indexOf('user'), -1);
+            assert.deepEqual(JSON.parse(Buffer.from(jwe.split('.')[0], 'base64url')), { alg: 'dir', enc: 'A256GCM' });
+            assert.deepEqual(cryptoe.verifyToken(jwe, symmetricKey, { now: now }), claims);
+            assert.deepEqual(cryptoe.verifyToken(jws, macKey, { now: new Date(now) }), claims);
+            assert.deepEqual(cryptoe.verifyToken(cryptoe.createToken({}, macKey), macKey), {});
+            assert.throws(function(){ cryptoe.verifyToken(jwe, cryptoe.generateSymmetricKey(), { now: now }); }, errorWith('Invalid Token'));
+            assert.throws(function(){ cryptoe.verifyToken(jws, cryptoe.generateMacKey(), { now: now }); }, errorWith('Invalid Token'));
+            assert.throws(function(){ cryptoe.createToken(claims, cryptoe.generateSigningKeyPair().privateKey); }, cryptoe.Error);
+            assert.throws(function(){ cryptoe.createToken([1, 2], macKey); }, cryptoe.Error);
+        });
+
+        it('enforce exp and nbf', function() {
+            var macKey = cryptoe.generateMacKey();
+            var token = cryptoe.createToken(claims, macKey);
+            assert.throws(function(){ cryptoe.verifyToken(token, macKey, { now: 2000000000000 }); }, errorWith('Token expired'));
+            assert.throws(function(){ cryptoe.verifyToken(token, macKey, { now: 999999999000 }); }, errorWith('Token not yet valid'));
+            assert.deepEqual(cryptoe.verifyToken(token, macKey, { now: 1999999999999 }), claims);
+            assert.deepEqual(cryptoe.verifyToken(token, macKey, { now: 2000000009000, clockTolerance: 10 }), claims);
+            assert.deepEqual(cryptoe.verifyToken(token, macKey, { now: 999999991000, clockTolerance: 10 }), claims);
+            assert.deepEqual(cryptoe.verifyToken(token, macKey), claims); // now is between nbf and exp
+            var invalid = cryptoe.createToken({ exp: '2000000000' }, macKey);
+            assert.throws(function(){ cryptoe.verifyToken(invalid, macKey, { now: now }); }, cryptoe.Error);
+        });
+
+        it('reject alg none and algorithm confusion', function() {
+            var symmetricKey = cryptoe.generateSymmetricKey();
+            var macKey = cryptoe.macKeyFromMessage(cryptoe.random(64));
+            var payload = b64(claims);
+            var unexpected = errorWith('Token: unexpected algorithm');
+            assert.throws(function(){
+                cryptoe.verifyToken(b64({ alg: 'none' }) + '.' + payload + '.', macKey, { now: now });
+            }, unexpected);
+            var jws = cryptoe.createToken(claims, macKey).split('.');
+            ['none', 'HS384', 'hs256', 'RS256', 'dir'].forEach(function(alg) {
+                assert.throws(function(){
+                    cryptoe.verifyToken([b64({ alg: alg }), jws[1], jws[2]].join('.'), macKey, { now: now });
+                }, unexpected, alg);
+            });
+            assert.throws(function(){
+                cryptoe.verifyToken([b64({ alg: 'HS256', crit: ['exp'] }), jws[1], jws[2]].join('.'), macKey, { now: now });
+            }, cryptoe.Error);
+            // a JWS token presented to a symmetric key and vice versa
+            assert.throws(function(){ cryptoe.verifyToken(jws.join('.'), symmetricKey, { now: now }); }, cryptoe.Error);
+            var jwe = cryptoe.createToken(claims, symmetricKey).split('.');
+            assert.throws(function(){ cryptoe.verifyToken(jwe.join('.'), macKey, { now: now }); }, cryptoe.Error);
+            [{ alg: 'dir', enc: 'A128GCM' }, { alg: 'A256KW', enc: 'A256GCM' }, { alg: 'HS256' }].forEach(function(header) {
+                var token = [b64(header)].concat(jwe.slice(1)).join('.');
+                assert.throws(function(){ cryptoe.verifyToken(token, symmetricKey, { now: now }); }, unexpected);
+            });
+        });
+
+        it('reject malformed tokens', function() {
+            var symmetricKey = cryptoe.generateSymmetricKey();
+            var jwe = cryptoe.createToken(claims, symmetricKey).split('.');
+            var tagless = jwe.slice(0, 4).concat([jwe[4].slice(0, 8)]).join('.');
+            ['', 'a.b', jwe.slice(0, 4).join('.'), tagless, [jwe[0], 'AAAA'].concat(jwe.slice(2)).join('.'),
+             jwe.join('.') + '=', [jwe[0], '', jwe[2], jwe[3] + '*', jwe[4]].join('.'),
+             [b64([1]), '', jwe[2], jwe[3], jwe[4]].join('.')].forEach(function(token) {
+                assert.throws(function(){ cryptoe.verifyToken(token, symmetricKey, { now: now }); }, cryptoe.Error, token);
+            });
+            assert.throws(function(){ cryptoe.verifyToken(42, symmetricKey); }, cryptoe.Error);
+        });
+
+        it('are compatible with RFC 7515 and Web Crypto', function() {
+            // RFC 7515, Appendix A.1
+            var macKey = cryptoe.macKeyFromJwk({ kty: 'oct', k: 'AyM1SysPpbyDfgZld3umj1qzKObwVMkoqQ-EstJQLr_T-1qS0gZH75aKtMN3Yj0iPS4hcgUuTwjAzZr1Z9CAow' });
+            var token = 'eyJ0eXAiOiJKV1QiLA0KICJhbGciOiJIUzI1NiJ9' +
+                '.eyJpc3MiOiJqb2UiLA0KICJleHAiOjEzMDA4MTkzODAsDQogImh0dHA6Ly9leGFtcGxlLmNvbS9pc19yb290Ijp0cnVlfQ' +
+                '.dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+            assert.deepEqual(cryptoe.verifyToken(token, macKey, { now: 1300819379000 }),
+                             { iss: 'joe', exp: 1300819380, 'http://example.com/is_root': true });
+            assert.throws(function(){ cryptoe.verifyToken(token, macKey); }, errorWith('Token expired'));
+
+            var symmetricKey = cryptoe.generateSymmetricKey();
+            var jwe = cryptoe.createToken(claims, symmetricKey).split('.');
+            var subtle = crypto.webcrypto.subtle;
+            return subtle.importKey('raw', symmetricKey.asMessage().toBytes(), 'AES-GCM', false, ['decrypt']).then(function(key) {
+                var params = { name: 'AES-GCM', iv: Buffer.from(jwe[2], 'base64url'), additionalData: Buffer.from(jwe[0]) };
+                return subtle.decrypt(params, key, Buffer.concat([Buffer.from(jwe[3], 'base64url'), Buffer.from(jwe[4], 'base64url')]));
+            }).then(function(plaintext) {
+                assert.deepEqual(JSON.parse(Buffer.from(plaintext).toString()), claims);
+            });
+        });
+    });
+
+    describe('Asynchronous API', function(){
+
+        var m = cryptoe.messageFromString('ala ma kota w kącie');
+
+        it('generates random messages', function() {
+            return cryptoe.randomAsync(100).then(function(r) {
+                assert.equal(r.len(), 100);
+                return rejected(cryptoe.async.random());
+            });
+        });
+
+        it('encrypts and decrypts compatibly with the synchronous API', function() {
+            var ad = cryptoe.messageFromString('record 17');
+            return cryptoe.async.generateSymmetricKey().then(function(key) {
+                return key.encryptAsync(m, ad, { keyId: cryptoe.messageFromString('key-1') }).then(function(e) {
+                    assert.equal(cryptoe.ciphertextKeyId(e).toString(), 'key-1');
+                    assert.equal(key.decrypt(e, ad).toString(), m.toString());
+                    return key.decryptAsync(key.encrypt(m, ad), ad);
+                }).then(function(d) {
+                    assert.equal(d.toString(), m.toString());
+                    return Promise.all([
+                        rejected(key.decryptAsync(key.encrypt(m, ad))),
+                        rejected(key.decryptAsync(cryptoe.random(20))),
+                        rejected(key.encryptAsync('abc'))
+                    ]);
+                });
+            });
+        });
+
+        it('decrypts legacy ciphertexts', function() {
+            var c   = cryptoe.messageFromHexString('3d66b89160a0ad129bbab5015f416b56ada6a0b136bc44982ec003a86802e99e008801');
+            var key = cryptoe.symmetricKeyFromMessage(cryptoe.messageFromHexString('68bbb32ae81b85752be3bc632293a31353f9df0a96976193474782cc13a5cdda'));
+            return key.decryptAsync(c, null, { legacy: true }).then(function(d) {
+                assert.equal(d.toString(), 'łąka!');
+            });
+        });
+
+        it('works for public-key encryption', function() {
+            return cryptoe.async.generateEncryptionKeyPair().then(function(pair) {
+                return pair.publicKey.encryptAsync(m).then(function(e) {
+                    assert.equal(pair.privateKey.decrypt(e).toString(), m.toString());
+                    return pair.privateKey.decryptAsync(pair.publicKey.encrypt(m));
+                }).then(function(d) {
+                    assert.equal(d.toString(), m.toString());
+                    return Promise.all([
+                        rejected(pair.privateKey.decryptAsync(m)),
+                        rejected(pair.publicKey.encryptAsync(cryptoe.random(191)))
+                    ]);
+                });
+            });
+        });
+
+        it('works for digital signatures', function() {
+            return cryptoe.async.generateSigningKeyPair().then(function(pair) {
+                return pair.privateKey.signAsync(m).then(function(s) {
+                    assert(pair.publicKey.verify(m, s));
+                    return pair.publicKey.verifyAsync(m, pair.privateKey.sign(m));
+                }).then(function(valid) {
+                    assert(valid);
+                    return Promise.all([
+                        rejected(pair.publicKey.verifyAsync(cryptoe.messageFromString('x'), pair.privateKey.sign(m))),
+                        rejected(pair.privateKey.signAsync('abc'))
+                    ]);
+                });
+            });
+        });
+
+        it('works for MACs', function() {
+            return cryptoe.async.generateMacKey().then(function(key) {
+                return key.tagAsync(m).then(function(t) {
+                    assert.equal(t.toHexString(), key.tag(m).toHexString());
+                    return key.verifyAsync(m, t);
+                }).then(function(valid) {
+                    assert(valid);
+                    return Promise.all([
+                        rejected(key.verifyAsync(m, cryptoe.random(32))),
+                        rejected(key.tagAsync(null))
+                    ]);
+                });
+            });
+        });
+
+        it('works for key agreement', function() {
+            return Promise.all([
+                cryptoe.async.generateKeyAgreementKeyPair('P-384'),
+                cryptoe.async.generateKeyAgreementKeyPair('P-384')
+            ]).then(function(pairs) {
+                var info = cryptoe.messageFromString('info');
+                var expected = pairs[1].privateKey.deriveSymmetricKey(pairs[0].publicKey, info);
+                return pairs[0].privateKey.deriveSymmetricKeyAsync(pairs[1].publicKey, info).then(function(key) {
+                    assert.equal(key.asMessage().toHexString(), expected.asMessage().toHexString());
+                    return rejected(cryptoe.async.generateKeyAgreementKeyPair('P-521'));
+                });
+            });
+        });
+
+        it('works for password-based keys', function() {
+            var salt = cryptoe.messageFromString('salt');
+            return cryptoe.async.symmetricKeyFromPassword('password', salt, { iterations: 1 }).then(function(key) {
+                assert.equal(key.asMessage().toHexString(), '120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b');
+                return cryptoe.async.generatePasswordKey('secret', { algorithm: 'scrypt', cost: 1024 });
+            }).then(function(generated) {
+                var key = cryptoe.symmetricKeyFromPasswordParameters('secret', generated.parameters);
+                assert.equal(key.asMessage().toHexString(), generated.key.asMessage().toHexString());
+                return cryptoe.async.symmetricKeyFromPasswordParameters('secret', generated.parameters);
+            }).then(function(key) {
+                assert.equal(key.decrypt(key.encrypt(m)).toString(), m.toString());
+                return Promise.all([
+                    rejected(cryptoe.async.symmetricKeyFromPassword('secret', salt, { algorithm: 'scrypt', cost: 1000 })),
+                    rejected(cryptoe.async.symmetricKeyFromPasswordParameters('secret', m))
+                ]);
+            });
+        });
+
+        it('computes hashes', function() {
+            return cryptoe.async.hash(cryptoe.messageFromString('abc')).then(function(h) {
+                assert.equal(h.toHexString(), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+                return cryptoe.async.hash(m, 'SHA-384');
+            }).then(function(h) {
+                assert.equal(h.toHexString(), cryptoe.hash(m, 'SHA-384').toHexString());
+                return rejected(cryptoe.async.hash(m, 'MD5'));
+            });
+        });
+    });
+
+    describe('Errors', function(){
+        var expectError = function(fn, ErrorClass, code) {
+            assert.throws(fn, function(err) {
+                return err instanceof ErrorClass && err instanceof cryptoe.Error && err instanceof Error &&
+                       err.code === code && err.name === ErrorClass.prototype.name;
+            });
+        };
+
+        it('form a hierarchy with names, codes and stack traces', function() {
+            [[cryptoe.TypeError, 'CryptoeTypeError', 'TYPE_ERROR'],
+             [cryptoe.UnsupportedError, 'UnsupportedError', 'UNSUPPORTED'],
+             [cryptoe.TruncatedMessageError, 'TruncatedMessageError', 'TRUNCATED_MESSAGE'],
+             [cryptoe.EncodingError, 'EncodingError', 'INVALID_ENCODING'],
+             [cryptoe.InvalidCiphertextError, 'InvalidCiphertextError', 'INVALID_CIPHERTEXT'],
+             [cryptoe.InvalidSignatureError, 'InvalidSignatureError', 'INVALID_SIGNATURE'],
+             [cryptoe.InvalidTokenError, 'InvalidTokenError', 'INVALID_TOKEN'],
+             [cryptoe.TokenExpiredError, 'TokenExpiredError', 'TOKEN_EXPIRED'],
+             [cryptoe.TokenNotYetValidError, 'TokenNotYetValidError', 'TOKEN_NOT_YET_VALID'],
+             [cryptoe.KeyFormatError, 'KeyFormatError', 'KEY_FORMAT'],
+             [cryptoe.WrongPasswordError, 'WrongPasswordError', 'WRONG_PASSWORD'],
+             [cryptoe.KeyNotFoundError, 'KeyNotFoundError', 'KEY_NOT_FOUND'],
+             [cryptoe.StateError, 'StateError', 'INVALID_STATE']].forEach(function(test) {
+                var err = new test[0]('description');
+                assert.ok(err instanceof cryptoe.Error);
+                assert.ok(err instanceof Error);
+                assert.equal(err.name, test[1]);
+                assert.equal(err.code, test[2]);
+                assert.equal(err.message, 'description');
+                assert.equal(err.stack.split('\n')[0], test[1] + ': description');
+                assert.ok(err.stack.indexOf('test.crypto.js') > 0);
+            });
+            assert.ok(new cryptoe.TokenExpiredError() instanceof cryptoe.InvalidTokenError);
+            assert.equal(new cryptoe.Error().code, 'CRYPTOE_ERROR');
+        });
+
+        it('are thrown consistently', function() {
+            var key = cryptoe.generateSymmetricKey();
+            var macKey = cryptoe.generateMacKey();
+            var m = cryptoe.messageFromString('A message');
+            expectError(function(){ m.clone().takeMessage(100); }, cryptoe.TruncatedMessageError, 'TRUNCATED_MESSAGE');
+            expectError(function(){ cryptoe.messageFromHexString('01').takeInt32(); }, cryptoe.TruncatedMessageError, 'TRUNCATED_MESSAGE');
+            expectError(function(){ m.byteAt(100); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ m.appendByte(256); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ m.appendByte(1.5); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.messageFromBytes([300, -1, 1.5]); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.messageFromBytes([1, 2, 1.5]); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.messageFromBytes({ length: 2, 0: 1 }); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.messageFromBytes({ length: -1, 0: 1 }); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.messageFromBytes({ length: 1e10, 0: 1 }); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ m.appendBytes([1, 256]); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ m.slice(4).skip(-100); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ m.clone().takeMessage(-100); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ m.slice(1.5); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ key.encrypt(null); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.random(-1); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.seal('key', m); }, cryptoe.TypeError, 'TYPE_ERROR');
+            expectError(function(){ cryptoe.messageFromBase64('Zm9v!'); }, cryptoe.EncodingError, 'INVALID_ENCODING');
+            expectError(function(){ cryptoe.messageFromHexString('0000').toObject(); }, cryptoe.EncodingError, 'INVALID_ENCODING');
+            expectError(function(){ cryptoe.hash(m, 'MD5'); }, cryptoe.UnsupportedError, 'UNSUPPORTED');
+            expectError(function(){ key.decrypt(key.encrypt(m).slice(0, -1)); }, cryptoe.InvalidCiphertextError, 'INVALID_CIPHERTEXT');
+            expectError(function(){ macKey.verify(m, cryptoe.random(32)); }, cryptoe.InvalidSignatureError, 'INVALID_SIGNATURE');
+            expectError(function(){
+                cryptoe.verifyToken(cryptoe.createToken({ exp: 1 }, macKey), macKey);
+            }, cryptoe.TokenExpiredError, 'TOKEN_EXPIRED');
+            expectError(function(){
+                cryptoe.verifyToken(cryptoe.createToken({}, macKey), key);
+            }, cryptoe.InvalidTokenError, 'INVALID_TOKEN');
+            expectError(function(){ cryptoe.symmetricKeyFromMessage(cryptoe.random(16)); }, cryptoe.KeyFormatError, 'KEY_FORMAT');
+            expectError(function(){ cryptoe.signingKeyFromMessage(m); }, cryptoe.KeyFormatError, 'KEY_FORMAT');
+            expectError(function(){ cryptoe.keyring().decrypt(key.encrypt(m, null, { keyId: m })); }, cryptoe.KeyNotFoundError, 'KEY_NOT_FOUND');
+            var store = cryptoe.keyStore().asMessage('password', { iterations: 1000 });
+            expectError(function(){ cryptoe.loadKeyStore(store, 'wrong'); }, cryptoe.WrongPasswordError, 'WRONG_PASSWORD');
+            var wiped = m.clone();
+            wiped.wipe();
+            expectError(function(){ wiped.len(); }, cryptoe.StateError, 'INVALID_STATE');
+            key.destroy();
+            expectError(function(){ key.encrypt(m); }, cryptoe.StateError, 'INVALID_STATE');
+            return macKey.verifyAsync(m, cryptoe.random(32)).then(function() {
+                assert.fail('expected an error');
+            }, function(err) {
+                assert.ok(err instanceof cryptoe.InvalidSignatureError);
+            });
+        });
+    });
 });  